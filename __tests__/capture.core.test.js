@@ -46,3 +46,76 @@ describe('captureDOM functional', () => {
     await captureDOM(el, { embedFonts: true });
   });
 });
+
+describe('captureDOM signal and onProgress', () => {
+  it('rejects with AbortError when the signal is already aborted', async () => {
+    const el = document.createElement('div');
+    const controller = new AbortController();
+    controller.abort();
+    await expect(captureDOM(el, { signal: controller.signal })).rejects.toMatchObject({ name: 'AbortError' });
+  });
+
+  it('rejects with AbortError when aborted between phases', async () => {
+    const el = document.createElement('div');
+    el.textContent = 'test';
+    document.body.appendChild(el);
+    const controller = new AbortController();
+    const phases = [];
+    const onProgress = ({ phase }) => {
+      phases.push(phase);
+      if (phase === 'clone') controller.abort();
+    };
+    await expect(captureDOM(el, { signal: controller.signal, onProgress })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(phases).toEqual(['clone']);
+    document.body.removeChild(el);
+  });
+
+  it('stops between image batches', async () => {
+    const el = document.createElement('div');
+    const pixel = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+    for (let i = 0; i < 8; i++) {
+      const img = document.createElement('img');
+      img.src = pixel;
+      el.appendChild(img);
+    }
+    document.body.appendChild(el);
+    const controller = new AbortController();
+    const batches = [];
+    const onProgress = ({ phase, done, total }) => {
+      if (phase !== 'images') return;
+      batches.push([done, total]);
+      controller.abort();
+    };
+    await expect(captureDOM(el, { signal: controller.signal, onProgress })).rejects.toMatchObject({ name: 'AbortError' });
+    expect(batches).toEqual([[4, 8]]);
+    document.body.removeChild(el);
+  });
+
+  it('reports every phase in order', async () => {
+    const el = document.createElement('div');
+    el.textContent = 'test';
+    document.body.appendChild(el);
+    const progress = [];
+    await captureDOM(el, { embedFonts: true, onProgress: (p) => progress.push(p) });
+    expect(progress.map(p => p.phase)).toEqual(['clone', 'images', 'backgrounds', 'fonts', 'baseCSS', 'serialize']);
+    expect(progress[1]).toEqual({ phase: 'images', done: 0, total: 0 });
+    document.body.removeChild(el);
+  });
+});
+
+describe('captureDOM timeout', () => {
+  it('finishes with placeholders when the time budget runs out', async () => {
+    const el = document.createElement('div');
+    const img = document.createElement('img');
+    img.src = 'https://example.com/never.png';
+    img.width = 10;
+    img.height = 10;
+    el.appendChild(img);
+    document.body.appendChild(el);
+    const start = Date.now();
+    const url = await captureDOM(el, { timeout: 200, resourceTimeout: 60000, fetch: () => new Promise(() => {}) });
+    expect(Date.now() - start).toBeLessThan(2000);
+    expect(decodeURIComponent(url)).not.toContain('example.com/never.png');
+    document.body.removeChild(el);
+  });
+});
@@ -0,0 +1,106 @@
+import { describe, it, expect, vi } from 'vitest';
+import { deepClone } from '../src/core/clone.js';
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p6Q2wAAAABJRU5ErkJggg==';
+
+function runClone(node, options = {}) {
+  return deepClone(node, new Map(), new WeakMap(), new Map(), false, options);
+}
+
+describe('deepClone video', () => {
+  it('uses the poster when no frame is decoded yet', async () => {
+    const video = document.createElement('video');
+    video.poster = PIXEL;
+    video.style.objectFit = 'cover';
+    document.body.appendChild(video);
+    const clone = await runClone(video);
+    expect(clone.tagName).toBe('IMG');
+    expect(clone.src).toBe(PIXEL);
+    expect(clone.style.objectFit).toBe('cover');
+    video.remove();
+  });
+
+  it('falls back to a placeholder without frame or poster', async () => {
+    const video = document.createElement('video');
+    document.body.appendChild(video);
+    const clone = await runClone(video);
+    expect(clone.tagName).toBe('DIV');
+    video.remove();
+  });
+});
+
+describe('deepClone canvas', () => {
+  it('uses the onCanvas resolver when provided', async () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 4;
+    canvas.height = 4;
+    const clone = await runClone(canvas, { onCanvas: () => PIXEL });
+    expect(clone.tagName).toBe('IMG');
+    expect(clone.src).toBe(PIXEL);
+  });
+
+  it('calls the registered render callback before reading', async () => {
+    const { registerCanvas, unregisterCanvas } = await import('../src/modules/canvas.js');
+    const canvas = document.createElement('canvas');
+    canvas.width = 4;
+    canvas.height = 4;
+    let rendered = false;
+    registerCanvas(canvas, (c) => {
+      rendered = true;
+      const ctx = c.getContext('2d');
+      ctx.fillStyle = 'red';
+      ctx.fillRect(0, 0, 4, 4);
+    });
+    const clone = await runClone(canvas);
+    expect(rendered).toBe(true);
+    expect(clone.src.startsWith('data:image/png')).toBe(true);
+    unregisterCanvas(canvas);
+  });
+
+  it('reads registered WebGL canvases without preserveDrawingBuffer', async () => {
+    const { registerCanvas, unregisterCanvas } = await import('../src/modules/canvas.js');
+    const canvas = document.createElement('canvas');
+    canvas.width = 8;
+    canvas.height = 8;
+    document.body.appendChild(canvas);
+    const gl = canvas.getContext('webgl');
+    if (!gl) return;
+    let frame = 0;
+    const draw = () => {
+      gl.clearColor(1, 0, 0, 1);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      if (frame++ < 10) requestAnimationFrame(draw);
+    };
+    requestAnimationFrame(draw);
+    await new Promise(r => requestAnimationFrame(() => requestAnimationFrame(r)));
+    registerCanvas(canvas);
+    const clone = await runClone(canvas);
+    const blank = document.createElement('canvas');
+    blank.width = 8;
+    blank.height = 8;
+    expect(clone.src).not.toBe(blank.toDataURL());
+    unregisterCanvas(canvas);
+    canvas.remove();
+  });
+
+  it('does not create a context on canvases without one', async () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 8;
+    canvas.height = 8;
+    const getContext = vi.spyOn(canvas, 'getContext');
+    await runClone(canvas);
+    expect(getContext).not.toHaveBeenCalled();
+    getContext.mockRestore();
+  });
+
+  it('does not wait for a frame to read blank 2D canvases', async () => {
+    const canvas = document.createElement('canvas');
+    canvas.width = 8;
+    canvas.height = 8;
+    canvas.getContext('2d');
+    const raf = vi.spyOn(window, 'requestAnimationFrame');
+    await runClone(canvas);
+    expect(raf).not.toHaveBeenCalled();
+    raf.mockRestore();
+  });
+});
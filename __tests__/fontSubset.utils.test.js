@@ -0,0 +1,308 @@
+import { describe, it, expect } from 'vitest';
+import { subsetFont } from '../src/utils/fontSubset.js';
+
+// Minimal TrueType font: .notdef, "A" and "B" outlines, "C" as a composite of "A"
+function simpleGlyph(width) {
+  const bytes = new Uint8Array(29);
+  const view = new DataView(bytes.buffer);
+  view.setInt16(0, 1); // one contour
+  view.setInt16(6, width);
+  view.setInt16(8, 700);
+  view.setUint16(10, 2); // endPtsOfContours
+  bytes.set([1, 1, 1], 14); // on-curve points, 16-bit coordinates
+  [0, width, 0].forEach((x, i) => view.setInt16(17 + i * 2, x));
+  [0, 0, 700].forEach((y, i) => view.setInt16(23 + i * 2, y));
+  return bytes;
+}
+
+function compositeGlyph(component) {
+  const bytes = new Uint8Array(18);
+  const view = new DataView(bytes.buffer);
+  view.setInt16(0, -1);
+  view.setUint16(10, 0x0003); // ARG_1_AND_2_ARE_WORDS | ARGS_ARE_XY_VALUES
+  view.setUint16(12, component);
+  return bytes;
+}
+
+// cmap, head and maxp of a font with .notdef and "A".."C" as glyphs 0..3
+function commonTables() {
+  const head = new Uint8Array(54);
+  new DataView(head.buffer).setUint32(0, 0x00010000);
+  new DataView(head.buffer).setUint16(18, 1000);
+  new DataView(head.buffer).setInt16(50, 1); // long loca
+  const maxp = new Uint8Array(6);
+  new DataView(maxp.buffer).setUint32(0, 0x00005000);
+  new DataView(maxp.buffer).setUint16(4, 4);
+
+  // cmap: one format 4 subtable mapping "A".."C" to glyphs 1..3
+  const cmap = new Uint8Array(12 + 32);
+  const c = new DataView(cmap.buffer);
+  c.setUint16(2, 1);
+  c.setUint16(4, 3);
+  c.setUint16(6, 1);
+  c.setUint32(8, 12);
+  [4, 32, 0, 4, 4, 1, 0].forEach((v, i) => c.setUint16(12 + i * 2, v));
+  c.setUint16(26, 0x43);
+  c.setUint16(28, 0xffff);
+  c.setUint16(32, 0x41);
+  c.setUint16(34, 0xffff);
+  c.setUint16(36, (1 - 0x41) & 0xffff);
+  c.setUint16(38, 1);
+  return { cmap, head, maxp };
+}
+
+function writeFont(flavor, tables) {
+  const tags = Object.keys(tables).sort();
+  const size = tags.reduce((n, tag) => n + ((tables[tag].length + 3) & ~3), 12 + tags.length * 16);
+  const font = new Uint8Array(size);
+  const view = new DataView(font.buffer);
+  view.setUint32(0, flavor);
+  view.setUint16(4, tags.length);
+  let position = 12 + tags.length * 16;
+  tags.forEach((tag, i) => {
+    for (let k = 0; k < 4; k++) font[12 + i * 16 + k] = tag.charCodeAt(k);
+    view.setUint32(12 + i * 16 + 8, position);
+    view.setUint32(12 + i * 16 + 12, tables[tag].length);
+    font.set(tables[tag], position);
+    position += (tables[tag].length + 3) & ~3;
+  });
+  return font;
+}
+
+function buildFont(extraTables = {}) {
+  const glyphs = [new Uint8Array(0), simpleGlyph(500), simpleGlyph(600), compositeGlyph(1)];
+  const padded = glyphs.map((g) => { const p = new Uint8Array((g.length + 3) & ~3); p.set(g); return p; });
+  const glyf = new Uint8Array(padded.reduce((n, g) => n + g.length, 0));
+  const loca = new Uint8Array((glyphs.length + 1) * 4);
+  let offset = 0;
+  padded.forEach((g, i) => {
+    new DataView(loca.buffer).setUint32(i * 4, offset);
+    glyf.set(g, offset);
+    offset += g.length;
+  });
+  new DataView(loca.buffer).setUint32(glyphs.length * 4, offset);
+  return writeFont(0x00010000, { ...commonTables(), glyf, loca, ...extraTables });
+}
+
+function words(...values) {
+  const bytes = new Uint8Array(values.length * 2);
+  values.forEach((v, i) => new DataView(bytes.buffer).setUint16(i * 2, v));
+  return bytes;
+}
+
+// GSUB with an "A" + "B" → "C" ligature, then a contextual lookup (format 3) last in the
+// table, whose glyph count would send a coverage read past its end
+function buildGsub() {
+  return words(
+    1, 0, 0, 0, 10, // header: version, no script or feature list, LookupList
+    2, 6, 38, // LookupList
+    4, 0, 1, 8, // ligature lookup
+    1, 8, 1, 14, // LigatureSubstFormat1
+    1, 1, 1, // coverage: "A"
+    1, 4, // LigatureSet
+    3, 2, 2, // Ligature: "C" from "A" + "B"
+    5, 0, 1, 8, // contextual lookup
+    3, 1, 0, 8, // ContextSubstFormat3: glyphCount, seqLookupCount, coverage offsets
+    1, 1, 1, // coverage: "A"
+  );
+}
+
+// CFF INDEX with 1-byte offsets
+function cffIndex(items) {
+  if (!items.length) return new Uint8Array(2);
+  const out = [items.length >> 8, items.length & 0xff, 1, 1];
+  let offset = 1;
+  for (const item of items) out.push((offset += item.length));
+  return new Uint8Array([...out, ...items.flatMap((item) => [...item])]);
+}
+
+const cffInt = (v) => [29, (v >>> 24) & 0xff, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff];
+
+// OpenType font with CFF outlines: "A" and "B" as rectangles, "C" empty, the predefined
+// ISOAdobe charset, and a Private DICT with local subroutines placed after it
+function buildCffFont() {
+  const rect = (width) => [139, 139, 21, 247 + ((width - 108) >> 8), (width - 108) & 0xff, 6, 249, 80, 7, 14];
+  const charStrings = cffIndex([[14], rect(500), rect(600), [139, 139, 21, 14]]);
+  const header = [1, 0, 4, 1];
+  const names = cffIndex([[..."Test"].map((ch) => ch.charCodeAt(0))]);
+  const topSize = cffIndex([new Array(19).fill(0)]).length;
+  const charStringsOffset = header.length + names.length + topSize + 4; // + empty String and Global Subr INDEXes
+  const privateOffset = charStringsOffset + charStrings.length;
+  const privateDict = [...cffInt(6), 19]; // Subrs, right after the 6-byte DICT
+  const top = cffIndex([[139, 15, ...cffInt(charStringsOffset), 17, ...cffInt(privateDict.length), ...cffInt(privateOffset), 18]]);
+  const cff = new Uint8Array([...header, ...names, ...top, 0, 0, 0, 0, ...charStrings, ...privateDict, ...cffIndex([[11]])]);
+  return writeFont(0x4f54544f, { ...commonTables(), "CFF ": cff });
+}
+
+// Wraps a TrueType/OpenType file in an uncompressed WOFF
+function toWoff(font) {
+  const view = new DataView(font.buffer);
+  const numTables = view.getUint16(4);
+  const records = Array.from({ length: numTables }, (_, i) => ({
+    tag: font.subarray(12 + i * 16, 12 + i * 16 + 4),
+    data: font.subarray(view.getUint32(12 + i * 16 + 8), view.getUint32(12 + i * 16 + 8) + view.getUint32(12 + i * 16 + 12)),
+  }));
+  const size = records.reduce((n, { data }) => n + ((data.length + 3) & ~3), 44 + numTables * 20);
+  const woff = new Uint8Array(size);
+  const w = new DataView(woff.buffer);
+  w.setUint32(0, 0x774f4646);
+  w.setUint32(4, view.getUint32(0));
+  w.setUint32(8, size);
+  w.setUint16(12, numTables);
+  w.setUint32(16, font.length);
+  let position = 44 + numTables * 20;
+  records.forEach(({ tag, data }, i) => {
+    woff.set(tag, 44 + i * 20);
+    w.setUint32(44 + i * 20 + 4, position);
+    w.setUint32(44 + i * 20 + 8, data.length);
+    w.setUint32(44 + i * 20 + 12, data.length);
+    woff.set(data, position);
+    position += (data.length + 3) & ~3;
+  });
+  return woff;
+}
+
+function readTables(font) {
+  const view = new DataView(font.buffer, font.byteOffset, font.byteLength);
+  const tables = {};
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const record = 12 + i * 16;
+    const tag = String.fromCharCode(...font.subarray(record, record + 4));
+    const offset = view.getUint32(record + 8);
+    tables[tag] = new DataView(font.buffer, font.byteOffset + offset, view.getUint32(record + 12));
+  }
+  return tables;
+}
+
+async function readWoffTables(woff) {
+  const view = new DataView(woff.buffer, woff.byteOffset, woff.byteLength);
+  const tables = {};
+  for (let i = 0; i < view.getUint16(12); i++) {
+    const record = 44 + i * 20;
+    const tag = String.fromCharCode(...woff.subarray(record, record + 4));
+    const offset = view.getUint32(record + 4);
+    let data = woff.subarray(offset, offset + view.getUint32(record + 8));
+    if (data.length < view.getUint32(record + 12)) {
+      data = new Uint8Array(await new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'))).arrayBuffer());
+    }
+    tables[tag] = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return tables;
+}
+
+function readCffIndex(bytes, offset) {
+  const count = (bytes[offset] << 8) | bytes[offset + 1];
+  if (!count) return { items: [], end: offset + 2 };
+  const offSize = bytes[offset + 2];
+  const at = (i) => {
+    let value = 0;
+    for (let k = 0; k < offSize; k++) value = value * 256 + bytes[offset + 3 + i * offSize + k];
+    return value;
+  };
+  const base = offset + 2 + (count + 1) * offSize;
+  const items = Array.from({ length: count }, (_, i) => bytes.subarray(base + at(i), base + at(i + 1)));
+  return { items, end: base + at(count) };
+}
+
+// Operator → operands of a CFF DICT holding integers only
+function readCffDict(bytes) {
+  const dict = {};
+  let operands = [];
+  for (let i = 0; i < bytes.length;) {
+    const b = bytes[i];
+    if (b === 29) {
+      operands.push((bytes[i + 1] << 24) | (bytes[i + 2] << 16) | (bytes[i + 3] << 8) | bytes[i + 4]);
+      i += 5;
+    } else if (b >= 32 && b <= 246) {
+      operands.push(b - 139);
+      i++;
+    } else {
+      dict[b] = operands;
+      operands = [];
+      i++;
+    }
+  }
+  return dict;
+}
+
+function readCff(table) {
+  const cff = new Uint8Array(table.buffer, table.byteOffset, table.byteLength);
+  const names = readCffIndex(cff, cff[2]);
+  const top = readCffDict(readCffIndex(cff, names.end).items[0]);
+  const [privateSize, privateOffset] = top[18];
+  const privateDict = readCffDict(cff.subarray(privateOffset, privateOffset + privateSize));
+  return {
+    charStrings: readCffIndex(cff, top[17][0]).items.map((item) => [...item]),
+    subrs: readCffIndex(cff, privateOffset + privateDict[19][0]).items.map((item) => [...item]),
+  };
+}
+
+function glyphLengths(tables) {
+  const long = tables.head.getInt16(50) === 1;
+  const count = tables.maxp.getUint16(4);
+  const offsets = Array.from({ length: count + 1 }, (_, i) => (long ? tables.loca.getUint32(i * 4) : tables.loca.getUint16(i * 2) * 2));
+  return offsets.slice(1).map((end, i) => end - offsets[i]);
+}
+
+async function subset(text, font = buildFont()) {
+  const blob = await subsetFont(font, [...text].map((ch) => ch.codePointAt(0)));
+  return new Uint8Array(await blob.arrayBuffer());
+}
+
+describe('subsetFont', () => {
+  it('empties the glyphs of characters not in the text', async () => {
+    const tables = readTables(await subset('B'));
+    expect(glyphLengths(tables)).toEqual([0, 0, 32, 0]);
+  });
+
+  it('keeps the components of composite glyphs', async () => {
+    const tables = readTables(await subset('C'));
+    expect(glyphLengths(tables)).toEqual([0, 32, 0, 20]);
+  });
+
+  it('keeps glyph ids and maps only the kept characters', async () => {
+    const font = await subset('CA');
+    const tables = readTables(font);
+    expect(tables.maxp.getUint16(4)).toBe(4);
+    const format4 = tables.cmap.getUint32(8);
+    expect(tables.cmap.getUint16(format4)).toBe(4);
+    // One segment A..C is not possible as B is gone: A and C, plus the 0xFFFF terminator
+    expect(tables.cmap.getUint16(format4 + 6)).toBe(6);
+    expect(tables.cmap.getUint16(format4 + 14)).toBe(0x41);
+    expect(tables.cmap.getUint16(format4 + 16)).toBe(0x43);
+  });
+
+  it('writes a valid file checksum', async () => {
+    const font = await subset('A');
+    const view = new DataView(font.buffer);
+    let sum = 0;
+    for (let i = 0; i < font.length; i += 4) sum = (sum + view.getUint32(i)) >>> 0;
+    expect(sum).toBe(0xb1b0afba);
+  });
+
+  it('keeps the glyphs GSUB substitutes and skips contextual lookups', async () => {
+    const gsub = buildGsub();
+    expect(glyphLengths(readTables(await subset('AB', buildFont({ GSUB: gsub }))))).toEqual([0, 32, 32, 20]);
+    expect(glyphLengths(readTables(await subset('A', buildFont({ GSUB: gsub }))))).toEqual([0, 32, 0, 0]);
+  });
+
+  it('empties the charstrings of unused CFF glyphs and keeps the local subroutines', async () => {
+    const font = await subset('B', buildCffFont());
+    expect(new DataView(font.buffer).getUint32(0)).toBe(0x4f54544f);
+    const { charStrings, subrs } = readCff(readTables(font)['CFF ']);
+    expect(charStrings.map((charString) => charString.length)).toEqual([1, 1, 10, 1]);
+    expect(charStrings[2]).toEqual(readCff(readTables(buildCffFont())['CFF ']).charStrings[2]);
+    expect(subrs).toEqual([[11]]);
+  });
+
+  it('subsets WOFF files into WOFF files', async () => {
+    const font = await subset('B', toWoff(buildFont()));
+    expect(new DataView(font.buffer).getUint32(0)).toBe(0x774f4646);
+    expect(glyphLengths(await readWoffTables(font))).toEqual([0, 0, 32, 0]);
+  });
+
+  it('returns null for files it cannot subset', async () => {
+    expect(await subsetFont(new Uint8Array([0x77, 0x4f, 0x46, 0x32, 0, 0, 0, 0, 0, 0, 0, 0]), [65])).toBeNull();
+    expect(await subsetFont(new Uint8Array([0]), [65])).toBeNull();
+  });
+});
@@ -1,5 +1,5 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { iconToImage, embedCustomFonts } from '../src/modules/fonts.js';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { iconToImage, embedCustomFonts, collectUsedFonts } from '../src/modules/fonts.js';
 import { cache } from '../src/core/cache.js';
 
 // === helpers locales ===
@@ -132,3 +132,256 @@ describe('embedCustomFonts', () => {
     document.head.removeChild(style);
   });
 });
+
+describe('embedCustomFonts with usedFonts', () => {
+  beforeEach(() => {
+    cache.reset();
+    cache.font.clear();
+    cache.resource.clear();
+    cleanFontEnvironment();
+    setDocumentFonts([]);
+    addStyleTag(`
+      @font-face { font-family: Brand; src: local("Brand-Regular"); font-weight: 400; font-style: normal; }
+      @font-face { font-family: Brand; src: local("Brand-Bold"); font-weight: 700; font-style: normal; }
+      @font-face { font-family: Brand; src: local("Brand-Italic"); font-weight: 400; font-style: italic; }
+      @font-face { font-family: Other; src: local("Other-Regular"); }
+    `);
+  });
+
+  const used = (entries) => new Map(entries.map(([family, descriptors]) => [family, new Set(descriptors)]));
+
+  it('embeds only the faces matching the used fonts', async () => {
+    const css = await embedCustomFonts({ usedFonts: used([['brand', ['400|normal']]]) });
+    expect(css).toContain('Brand-Regular');
+    expect(css).not.toContain('Brand-Bold');
+    expect(css).not.toContain('Brand-Italic');
+    expect(css).not.toContain('Other-Regular');
+  });
+
+  it('picks the nearest weight and style like the browser does', async () => {
+    const css = await embedCustomFonts({ usedFonts: used([['brand', ['600|normal', '700|italic']]]) });
+    expect(css).toContain('Brand-Bold');
+    expect(css).toContain('Brand-Italic');
+    expect(css).not.toContain('Brand-Regular');
+  });
+
+  it('caches the CSS per used set', async () => {
+    const first = await embedCustomFonts({ usedFonts: used([['brand', ['400|normal']]]) });
+    const second = await embedCustomFonts({ usedFonts: used([['other', ['400|normal']]]) });
+    expect(first).toContain('Brand-Regular');
+    expect(second).toContain('Other-Regular');
+    expect(second).not.toContain('Brand-Regular');
+  });
+});
+
+describe('collectUsedFonts', () => {
+  it('collects families, weights and styles of text and pseudo-elements', () => {
+    const style = addStyleTag('.used-fonts-pseudo::after { content: "!"; font-family: PseudoFont; }');
+    const el = document.createElement('div');
+    el.style.fontFamily = "'Brand', Arial, sans-serif";
+    el.style.fontWeight = '700';
+    el.innerHTML = 'bold <em style="font-family: Serifish">italic</em><span class="used-fonts-pseudo"></span><b style="font-family: Unused"></b>';
+    document.body.appendChild(el);
+
+    const usedFonts = collectUsedFonts(el);
+    expect([...usedFonts.get('brand')]).toEqual(['700|normal']);
+    expect(usedFonts.has('arial')).toBe(true);
+    expect(usedFonts.has('sans-serif')).toBe(false);
+    expect([...usedFonts.get('serifish')]).toEqual(['700|italic']);
+    expect(usedFonts.has('pseudofont')).toBe(true);
+    expect(usedFonts.has('unused')).toBe(false);
+
+    el.remove();
+    style.remove();
+  });
+});
+
+describe('collectUsedFonts with code points', () => {
+  it('collects the characters of text, controls and pseudo-elements', () => {
+    const style = addStyleTag('.used-chars-pseudo::before { content: "\\2605" attr(data-label); }');
+    const el = document.createElement('div');
+    el.innerHTML = '<p>ab</p><span class="used-chars-pseudo" data-label="z"></span><input value="7"><span style="text-transform: uppercase">c</span>';
+    document.body.appendChild(el);
+
+    const codePoints = new Set();
+    collectUsedFonts(el, codePoints);
+    const chars = String.fromCodePoint(...codePoints);
+    for (const char of ['a', 'b', '★', 'z', '7', 'c', 'C']) expect(chars).toContain(char);
+    expect(chars).not.toContain('d');
+
+    el.remove();
+    style.remove();
+  });
+});
+
+describe('embedCustomFonts with subsetFonts', () => {
+  beforeEach(() => {
+    cache.reset();
+    cache.font.clear();
+    cache.resource.clear();
+    setDocumentFonts([]);
+  });
+
+  it('embeds fonts it cannot subset whole', async () => {
+    const css = await embedCustomFonts({
+      localFonts: [{ family: 'MyLocal', src: 'data:font/woff2;base64,d09GMgABAAAAAA==' }],
+      codePoints: new Set([65]),
+      subsetFonts: true,
+    });
+    expect(css).toContain('d09GMgABAAAAAA==');
+  });
+});
+
+describe('embedCustomFonts with unicode-range', () => {
+  beforeEach(() => {
+    cache.reset();
+    cache.font.clear();
+    cache.resource.clear();
+    cleanFontEnvironment();
+  });
+
+  it('embeds only the slices covering the captured characters', async () => {
+    addStyleTag(`
+      @font-face { font-family: Slice; src: url(data:font/woff2;base64,TEFUSU4=); unicode-range: U+0000-00FF; }
+      @font-face { font-family: Slice; src: url(data:font/woff2;base64,Q1lSSUw=); unicode-range: U+0400-04FF; }
+    `);
+    setDocumentFonts([
+      { family: 'Slice', status: 'loaded', weight: 'normal', style: 'normal', unicodeRange: 'U+0-FF' },
+      { family: 'Slice', status: 'loaded', weight: 'normal', style: 'normal', unicodeRange: 'U+400-4FF' },
+    ]);
+    const css = await embedCustomFonts({ codePoints: new Set([0x41]) });
+    expect(css).toContain('TEFUSU4=');
+    expect(css).not.toContain('Q1lSSUw=');
+    expect(css).toMatch(/unicode-range:\s*U\+0+-0*FF/i);
+  });
+
+  it('matches faces with a weight range', async () => {
+    addStyleTag('@font-face { font-family: Variable; src: url(data:font/woff2;base64,VkFSSUFCTEU=); font-weight: 100 900; }');
+    setDocumentFonts([{ family: 'Variable', status: 'loaded', weight: '100 900', style: 'normal', unicodeRange: 'U+0-10FFFF' }]);
+    const css = await embedCustomFonts({ usedFonts: new Map([['variable', new Set(['600|normal'])]]) });
+    expect(css).toContain('VkFSSUFCTEU=');
+  });
+});
+
+describe('embedCustomFonts with evicted fonts', () => {
+  beforeEach(() => {
+    cache.reset();
+    cache.font.clear();
+    cache.resource.clear();
+    cleanFontEnvironment();
+  });
+
+  it('fetches again a font evicted from the resource cache', async () => {
+    const url = 'https://fonts.test/evicted.woff2';
+    const fetcher = vi.fn(async () => new Response(new Blob(['EVICTED'], { type: 'font/woff2' })));
+    setDocumentFonts([{ family: 'Evicted', status: 'loaded', weight: 'normal', style: 'normal', _snapdomSrc: url }]);
+
+    await embedCustomFonts({ fetch: fetcher });
+    cache.resource.clear();
+    const css = await embedCustomFonts({ fetch: fetcher });
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(css).toContain(`url(data:font/woff2;base64,${btoa('EVICTED')})`);
+  });
+});
+
+describe('embedCustomFonts with @import', () => {
+  const sheets = {
+    'https://fonts.test/css/a.css': '@import url("b.css"); @import "print.css" print; @import url(layered.css) layer(base);',
+    'https://fonts.test/css/b.css': '@import url("a.css"); @font-face { font-family: Imported; src: local("Imported"); }',
+    'https://fonts.test/css/print.css': '@font-face { font-family: PrintOnly; src: local("PrintOnly"); }',
+    'https://fonts.test/css/layered.css': '@font-face { font-family: Layered; src: local("Layered"); }',
+    'https://fonts.test/css/shadow.css': '@font-face { font-family: ShadowImported; src: local("ShadowImported"); }',
+  };
+  const fetcher = vi.fn(async (url) => new Response(sheets[url] ?? '', { status: sheets[url] ? 200 : 404 }));
+
+  beforeEach(() => {
+    cache.reset();
+    cache.font.clear();
+    cache.resource.clear();
+    cleanFontEnvironment();
+    setDocumentFonts([]);
+    fetcher.mockClear();
+  });
+
+  it('resolves nested imports in memory, following media and layer() conditions', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    addStyleTag('@import url("https://fonts.test/css/a.css");');
+    const css = await embedCustomFonts({ fetch: fetcher });
+    expect(css).toContain('Imported');
+    expect(css).toContain('Layered');
+    expect(css).not.toContain('PrintOnly');
+    expect(fetcher.mock.calls.filter(([url]) => url.endsWith('/a.css'))).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalledWith('[snapdom] Circular @import skipped:', 'https://fonts.test/css/a.css');
+    expect(document.querySelector('link[data-snapdom]')).toBeNull();
+    console.warn.mockRestore();
+  });
+
+  it('fetches each stylesheet once for captures of different text', async () => {
+    addStyleTag('@import url("https://fonts.test/css/layered.css");');
+    const first = await embedCustomFonts({ fetch: fetcher, codePoints: new Set([0x41]) });
+    const second = await embedCustomFonts({ fetch: fetcher, codePoints: new Set([0x42]) });
+    expect(first).toContain('Layered');
+    expect(second).toContain('Layered');
+    expect(fetcher).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves imports of <style> tags in shadow roots of the captured element', async () => {
+    const host = document.createElement('div');
+    host.attachShadow({ mode: 'open' }).innerHTML = '<style>@import url("https://fonts.test/css/shadow.css");</style><p>text</p>';
+    document.body.appendChild(host);
+    const css = await embedCustomFonts({ fetch: fetcher, root: host });
+    expect(css).toContain('ShadowImported');
+    host.remove();
+  });
+});
+
+describe('embedCustomFonts with adopted stylesheets and shadow roots', () => {
+  const constructed = (css) => {
+    const sheet = new CSSStyleSheet();
+    sheet.replaceSync(css);
+    return sheet;
+  };
+  let previousAdopted;
+
+  beforeEach(() => {
+    cache.reset();
+    cache.font.clear();
+    cache.resource.clear();
+    cleanFontEnvironment();
+    setDocumentFonts([]);
+    previousAdopted = document.adoptedStyleSheets;
+  });
+
+  afterEach(() => {
+    document.adoptedStyleSheets = previousAdopted;
+    document.querySelectorAll('[data-test-host]').forEach(el => el.remove());
+  });
+
+  it('reads faces from document.adoptedStyleSheets', async () => {
+    document.adoptedStyleSheets = [...previousAdopted, constructed('@font-face { font-family: Adopted; src: local("Adopted"); }')];
+    const css = await embedCustomFonts();
+    expect(css).toContain('Adopted');
+  });
+
+  it('reads faces from the shadow roots of the captured element', async () => {
+    const fetcher = vi.fn(async () => new Response('@font-face { font-family: ShadowLinked; src: url(data:font/woff2;base64,TElOSw==); }'));
+    const shared = constructed('@font-face { font-family: Shared; src: url(data:font/woff2;base64,U0hBUkVE); }');
+    const root = document.createElement('div');
+    root.setAttribute('data-test-host', '');
+    root.innerHTML = '<x-card></x-card><x-card></x-card>';
+    for (const card of root.children) {
+      const shadow = card.attachShadow({ mode: 'open' });
+      shadow.adoptedStyleSheets = [shared];
+      shadow.innerHTML = `
+        <link rel="stylesheet" href="https://fonts.test/card.css">
+        <style>@font-face { font-family: ShadowStyle; src: url(data:font/woff2;base64,U1RZTEU=); }</style>
+        <p>card</p>`;
+    }
+    document.body.appendChild(root);
+
+    const css = await embedCustomFonts({ root, fetch: fetcher });
+    expect(css).toContain('TElOSw==');
+    expect(css).toContain('U1RZTEU=');
+    expect(css.match(/U0hBUkVE/g)).toHaveLength(1);
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach} from 'vitest';
-import { getStyle, parseContent, extractURL, isIconFont, snapshotComputedStyle, isSafari, stripTranslate, safeEncodeURI, idle, fetchImage } from '../src/utils/helpers.js';
+import { getStyle, parseContent, extractURL, isIconFont, snapshotComputedStyle, isSafari, stripTranslate, safeEncodeURI, idle, fetchImage, getResampleSize, getBackgroundSizing, getImageCacheKey, requestResource, fetchResource, getProxyUrl, getFetchAttempts, getLoadPolicy } from '../src/utils/helpers.js';
 
 if (typeof window !== 'undefined') {
   window.addEventListener('unhandledrejection', (e) => {
@@ -196,3 +196,208 @@ it('rejects with original error if decode fails', async () => {
 });
 
 
+
+describe('getResampleSize', () => {
+  it('fits the rendered box for object-fit: fill', () => {
+    expect(getResampleSize(2000, 1000, { mode: 'fill', width: 100, height: 50, ratio: 2 }))
+      .toEqual({ width: 200, height: 100 });
+  });
+
+  it('keeps the aspect ratio for contain and cover', () => {
+    expect(getResampleSize(2000, 1000, { mode: 'contain', width: 100, height: 100, ratio: 1 }))
+      .toEqual({ width: 100, height: 50 });
+    expect(getResampleSize(2000, 1000, { mode: 'cover', width: 100, height: 100, ratio: 1 }))
+      .toEqual({ width: 200, height: 100 });
+  });
+
+  it('never upscales and skips images already small enough', () => {
+    expect(getResampleSize(100, 100, { mode: 'fill', width: 400, height: 400, ratio: 2 })).toBeNull();
+    expect(getResampleSize(100, 100, { mode: 'none', ratio: 1 })).toBeNull();
+  });
+});
+
+describe('image fallback', () => {
+  async function mockFetchedImage(size) {
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const blob = await new Promise((resolve) => canvas.toBlob(resolve));
+    globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, blob: () => Promise.resolve(blob) });
+  }
+
+  async function naturalWidth(dataUrl) {
+    const img = new Image();
+    img.src = dataUrl;
+    await img.decode();
+    return img.naturalWidth;
+  }
+
+  it('resamples the bytes fetched when the <img> load fails', async () => {
+    await mockFetchedImage(40);
+    const resample = { mode: 'fill', width: 10, height: 10, ratio: 1 };
+    const dataUrl = await fetchImage('missing-resampled.png', { resample });
+    expect(await naturalWidth(dataUrl)).toBe(10);
+  });
+
+  it('re-encodes the bytes fetched when the <img> load fails', async () => {
+    await mockFetchedImage(20);
+    const dataUrl = await fetchImage('missing-reencoded.png', { encoding: 'jpeg', quality: 0.8 });
+    expect(dataUrl.startsWith('data:image/jpeg')).toBe(true);
+    expect(await naturalWidth(dataUrl)).toBe(20);
+  });
+
+  it('caches fetched bytes it cannot draw', async () => {
+    // The default mock serves a bare PNG signature, which fails to decode
+    const first = await fetchImage('missing-undrawable.png', { encoding: 'jpeg' });
+    const second = await fetchImage('missing-undrawable.png', { encoding: 'jpeg' });
+    expect(first.startsWith('data:image/png')).toBe(true);
+    expect(second).toBe(first);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getBackgroundSizing', () => {
+  it('maps background-size values to sizing modes', () => {
+    expect(getBackgroundSizing('cover', 300, 200)).toEqual({ mode: 'cover', width: 300, height: 200 });
+    expect(getBackgroundSizing('auto', 300, 200)).toEqual({ mode: 'none' });
+    expect(getBackgroundSizing('50% 100px', 300, 200)).toEqual({ mode: 'fill', width: 150, height: 100 });
+    expect(getBackgroundSizing('120px auto', 300, 200)).toEqual({ mode: 'contain', width: 120, height: Infinity });
+  });
+});
+
+describe('imageEncoding', () => {
+  it('keys cached images by encoding policy', () => {
+    expect(getImageCacheKey('a.png')).toBe('a.png');
+    expect(getImageCacheKey('a.png', { encoding: 'jpeg', quality: 0.8 })).toBe('a.png::jpeg@0.8');
+    expect(getImageCacheKey('a.png', { encoding: 'original' })).not.toBe(getImageCacheKey('a.png', { encoding: 'auto' }));
+  });
+
+  it('keeps the fetched bytes with encoding "original"', async () => {
+    const gif = new Blob([new Uint8Array([71, 73, 70, 56, 57, 97])], { type: 'image/gif' }); // "GIF89a"
+    globalThis.fetch.mockResolvedValueOnce({ ok: true, status: 200, blob: () => Promise.resolve(gif) });
+    const dataUrl = await fetchImage('https://example.com/original-bytes.gif', { encoding: 'original' });
+    expect(dataUrl).toBe('data:image/gif;base64,R0lGODlh');
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('fetch option', () => {
+  it('routes requests through the custom fetcher with their kind', async () => {
+    const custom = vi.fn(async () => new Response('body { color: red }'));
+    const res = await fetchResource('https://example.com/a.css', { fetch: custom, kind: 'css' });
+    expect(await res.text()).toBe('body { color: red }');
+    expect(custom).toHaveBeenCalledWith('https://example.com/a.css', { kind: 'css' });
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+
+  it('loads URL strings returned by the fetcher', async () => {
+    const custom = vi.fn(async () => '/bundles/brand.woff2');
+    const res = await requestResource('https://cdn.example.com/brand.woff2', { kind: 'font', fetch: custom });
+    expect(res.ok).toBe(true);
+    expect(globalThis.fetch).toHaveBeenCalledWith(`${location.origin}/bundles/brand.woff2`);
+  });
+
+  it('falls back to the network when the fetcher returns nothing', async () => {
+    const res = await requestResource('https://example.com/font.woff2', { kind: 'font', fetch: async () => null });
+    expect(res.ok).toBe(true);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('loads image bytes through the fetcher', async () => {
+    const blob = new Blob([new Uint8Array([71, 73, 70, 56])], { type: 'image/gif' });
+    const custom = vi.fn(async () => blob);
+    const dataUrl = await fetchImage('https://example.com/fetcher.gif', { fetch: custom, encoding: 'original' });
+    expect(dataUrl.startsWith('data:image/gif')).toBe(true);
+    expect(custom).toHaveBeenCalledWith('https://example.com/fetcher.gif', { kind: 'image' });
+  });
+
+  it('sends proxied URLs through the fetcher too', async () => {
+    const custom = vi.fn(async (url) => (url.startsWith('https://proxy') ? new Blob(['x'], { type: 'image/png' }) : new Response('', { status: 403 })));
+    const dataUrl = await fetchImage('https://example.com/proxied.png', { fetch: custom, encoding: 'original', useProxy: 'https://proxy/' });
+    expect(dataUrl.startsWith('data:image/png')).toBe(true);
+    expect(custom).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('useProxy', () => {
+  const url = 'https://images.thirdparty.com/a b.png';
+
+  it('supports prefixes, templates and functions', () => {
+    expect(getProxyUrl(url, 'https://proxy/')).toBe('https://proxy' + safeEncodeURI(url));
+    expect(getProxyUrl(url, 'https://proxy/?u={url}')).toBe(`https://proxy/?u=${encodeURIComponent(url)}`);
+    expect(getProxyUrl(url, (u) => `https://fn/${u.length}`)).toBe(`https://fn/${url.length}`);
+    expect(getProxyUrl(url, () => null)).toBeNull();
+  });
+
+  it('never proxies same-origin, data or blob URLs', () => {
+    expect(getProxyUrl(`${location.origin}/a.png`, 'https://proxy/?u={url}')).toBeNull();
+    expect(getProxyUrl('data:image/png;base64,AAAA', 'https://proxy/?u={url}')).toBeNull();
+    expect(getProxyUrl('blob:https://x/1', 'https://proxy/?u={url}')).toBeNull();
+  });
+
+  it('filters hosts and honours mode "always"', () => {
+    const useProxy = { url: 'https://proxy/?u={url}', hosts: { allow: ['*.thirdparty.com'], deny: ['private.thirdparty.com'] }, mode: 'always' };
+    expect(getFetchAttempts(url, useProxy)).toEqual([getProxyUrl(url, useProxy)]);
+    expect(getFetchAttempts('https://private.thirdparty.com/a.png', useProxy)).toEqual(['https://private.thirdparty.com/a.png']);
+    expect(getFetchAttempts('https://other.com/a.png', useProxy)).toEqual(['https://other.com/a.png']);
+    expect(getFetchAttempts(url, { ...useProxy, mode: 'fallback' })).toHaveLength(2);
+  });
+
+  it('skips the direct request for fonts and stylesheets in mode "always"', async () => {
+    await fetchResource('https://fonts.thirdparty.com/a.woff2', { useProxy: { url: 'https://proxy/?u={url}', mode: 'always' } });
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+    expect(globalThis.fetch.mock.calls[0][0]).toBe(`https://proxy/?u=${encodeURIComponent('https://fonts.thirdparty.com/a.woff2')}`);
+  });
+});
+
+describe('timeouts and retries', () => {
+  it('retries 5xx responses with backoff', async () => {
+    globalThis.fetch
+      .mockResolvedValueOnce({ ok: false, status: 503 })
+      .mockResolvedValueOnce({ ok: false, status: 502 });
+    const res = await requestResource('https://example.com/a.css', { retries: 2, retryDelay: 1 });
+    expect(res.ok).toBe(true);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry client errors', async () => {
+    globalThis.fetch.mockResolvedValueOnce({ ok: false, status: 404 });
+    const res = await requestResource('https://example.com/missing.css', { retries: 2, retryDelay: 1 });
+    expect(res.status).toBe(404);
+    expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('times out a slow fetcher and aborts slow network requests', async () => {
+    const slow = () => new Promise(() => {});
+    await expect(requestResource('https://example.com/a.woff2', { fetch: slow, timeout: 20 }))
+      .rejects.toMatchObject({ name: 'TimeoutError' });
+
+    globalThis.fetch.mockImplementationOnce(slow);
+    await expect(requestResource('https://example.com/b.woff2', { timeout: 20 }))
+      .rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(globalThis.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it('times out URL strings returned by the fetcher', async () => {
+    globalThis.fetch.mockImplementationOnce(() => new Promise(() => {}));
+    await expect(requestResource('https://cdn.example.com/c.woff2', { fetch: async () => '/bundles/c.woff2', timeout: 20 }))
+      .rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(globalThis.fetch.mock.calls[0][0]).toBe(`${location.origin}/bundles/c.woff2`);
+    expect(globalThis.fetch.mock.calls[0][1].signal.aborted).toBe(true);
+  });
+
+  it('gives up past the deadline without a cooldown', async () => {
+    const src = 'https://example.com/late.png';
+    await expect(fetchImage(src, { deadline: Date.now() - 1, fetch: async () => null }))
+      .rejects.toMatchObject({ name: 'TimeoutError' });
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+    const dataUrl = await fetchImage(src, { fetch: async () => null, encoding: 'original' });
+    expect(dataUrl.startsWith('data:image/png')).toBe(true);
+  });
+
+  it('maps capture options to a load policy', () => {
+    expect(getLoadPolicy({ resourceTimeout: 500, retries: 1, retryDelay: 10 }))
+      .toEqual({ timeout: 500, retries: 1, retryDelay: 10, deadline: Infinity });
+    expect(getLoadPolicy({ deadline: 42 }).deadline).toBe(42);
+  });
+});
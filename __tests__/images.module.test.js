@@ -1,5 +1,6 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { inlineImages } from '../src/modules/images.js';
+import { beginCapture } from '../src/core/context.js';
 
 describe('inlineImages', () => {
   let container;
@@ -86,4 +87,74 @@ if (typeof window !== 'undefined') {
     // restaurar Image
     globalThis.Image = OrigImage;
   });
+  describe('imageFallback', () => {
+    const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p6Q2wAAAABJRU5ErkJggg==';
+    let OrigImage;
+
+    beforeEach(() => {
+      OrigImage = globalThis.Image;
+      globalThis.Image = class {
+        onload = null;
+        onerror = null;
+        set src(_) {
+          if (this.onerror) this.onerror(new Event('error'));
+        }
+        decode() { return Promise.resolve(); }
+      };
+      globalThis.fetch.mockRejectedValue(new Error('network fail'));
+    });
+
+    afterEach(() => {
+      globalThis.Image = OrigImage;
+    });
+
+    function addImg(name) {
+      const img = document.createElement('img');
+      img.setAttribute('src', `${name}.png`);
+      container.appendChild(img);
+      return img;
+    }
+
+    it('uses a data URL fallback', async () => {
+      const img = addImg('fallback-data-url');
+      await inlineImages(container, { imageFallback: PIXEL });
+      expect(img.src).toBe(PIXEL);
+    });
+
+    it('keeps the original URL with "keep"', async () => {
+      const img = addImg('fallback-keep');
+      await inlineImages(container, { imageFallback: 'keep' });
+      expect(img.getAttribute('src')).toContain('fallback-keep.png');
+    });
+
+    it('removes the image with "remove"', async () => {
+      addImg('fallback-remove');
+      await inlineImages(container, { imageFallback: 'remove' });
+      expect(container.querySelector('img')).toBeNull();
+      expect(container.querySelector('div')).toBeNull();
+    });
+
+    it('uses the node returned by a function', async () => {
+      addImg('fallback-fn');
+      const fn = vi.fn(() => {
+        const el = document.createElement('span');
+        el.className = 'branded';
+        return el;
+      });
+      await inlineImages(container, { imageFallback: fn });
+      expect(fn).toHaveBeenCalledWith(expect.any(HTMLImageElement), expect.any(Error));
+      expect(container.querySelector('span.branded')).not.toBeNull();
+    });
+
+    it('records errors thrown by the function in the capture report', async () => {
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      addImg('fallback-throws');
+      const options = { imageFallback: () => { throw new Error('broken fallback'); } };
+      const { report } = beginCapture(options);
+      await inlineImages(container, options);
+      expect(report.warnings).toContainEqual({ message: '[snapdom] Error in imageFallback:', error: expect.objectContaining({ message: 'broken fallback' }) });
+      expect(container.querySelector('img')).toBeNull();
+      warn.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,79 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { LRUCache, estimateBytes } from '../src/core/lru.js';
+import { cache, getCacheStats, clearCache, setCacheLimits } from '../src/core/cache.js';
+
+describe('LRUCache', () => {
+  it('evicts the least recently used entry over maxEntries', () => {
+    const lru = new LRUCache({ maxEntries: 2 });
+    lru.set('a', 1);
+    lru.set('b', 2);
+    lru.get('a');
+    lru.set('c', 3);
+    expect([...lru.keys()]).toEqual(['a', 'c']);
+  });
+
+  it('tracks estimated bytes and evicts over maxBytes', () => {
+    const lru = new LRUCache({ maxBytes: 30 });
+    lru.set('k1', 'x'.repeat(8));
+    expect(lru.bytes).toBe(estimateBytes('k1') + 16);
+    lru.set('k2', 'y'.repeat(8));
+    expect(lru.has('k1')).toBe(false);
+    lru.delete('k2');
+    expect(lru.bytes).toBe(0);
+  });
+
+  it('reports evicted entries to onEvict', () => {
+    const evicted = [];
+    const lru = new LRUCache({ maxEntries: 1, onEvict: (key, value) => evicted.push([key, value]) });
+    lru.set('a', 1);
+    lru.set('b', 2);
+    lru.delete('b');
+    expect(evicted).toEqual([['a', 1]]);
+  });
+
+  it('replaces values without double counting', () => {
+    const lru = new LRUCache();
+    lru.set('k', 'aa');
+    lru.set('k', 'aaaa');
+    expect(lru.bytes).toBe(estimateBytes('k') + 8);
+    expect(lru.size).toBe(1);
+  });
+});
+
+describe('cache stats and clear', () => {
+  beforeEach(() => clearCache());
+
+  it('reports entries and bytes per kind', () => {
+    cache.image.set('https://x/a.png', 'data:image/png;base64,AAAA');
+    const stats = getCacheStats();
+    expect(stats.image.entries).toBe(1);
+    expect(stats.image.bytes).toBeGreaterThan(0);
+    expect(stats.inflight).toBeDefined();
+    expect(stats.total.entries).toBeGreaterThanOrEqual(1);
+  });
+
+  it('clears a single kind', () => {
+    cache.image.set('a', 'data:a');
+    cache.resource.set('b', 'data:b');
+    clearCache('image');
+    expect(cache.image.size).toBe(0);
+    expect(cache.resource.size).toBe(1);
+    expect(() => clearCache('nope')).toThrow('Unknown cache kind');
+  });
+
+  it('applies new limits immediately', () => {
+    cache.image.set('a', 'data:a');
+    cache.image.set('b', 'data:b');
+    setCacheLimits({ image: { entries: 1 } });
+    expect([...cache.image.keys()]).toEqual(['b']);
+    setCacheLimits({ image: { entries: 500 } });
+  });
+
+  it('forgets embedded fonts evicted from the resource cache', () => {
+    cache.resource.set('https://x/a.woff2', 'data:font/woff2;base64,AAAA');
+    cache.font.add('https://x/a.woff2');
+    setCacheLimits({ resource: { entries: 0 } });
+    expect(cache.font.has('https://x/a.woff2')).toBe(false);
+    setCacheLimits({ resource: { entries: 200 } });
+  });
+});
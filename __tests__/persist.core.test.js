@@ -0,0 +1,60 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { configurePersistence, readPersisted, writePersisted, isPersistent } from '../src/core/persist.js';
+import { cache } from '../src/core/cache.js';
+import { fetchImage } from '../src/utils/helpers.js';
+
+function memoryStore() {
+  const map = new Map();
+  return {
+    map,
+    get: async (key) => map.get(key),
+    set: async (key, record) => { map.set(key, record); },
+    delete: async (key) => { map.delete(key); },
+    clear: async () => map.clear(),
+  };
+}
+
+const flush = () => new Promise((r) => setTimeout(r, 0));
+
+describe('persistent cache', () => {
+  let store;
+
+  beforeEach(() => {
+    store = memoryStore();
+    configurePersistence({ storage: store, version: 'v1' });
+    cache.image.clear();
+    globalThis.fetch = vi.fn();
+  });
+
+  afterEach(() => {
+    configurePersistence({ storage: null });
+  });
+
+  it('is disabled by default and with storage null', () => {
+    configurePersistence({ storage: null });
+    expect(isPersistent()).toBe(false);
+  });
+
+  it('stores entries and hydrates the in-memory map on lookup', async () => {
+    writePersisted('image', 'https://x/a.png', 'data:image/png;base64,AAA');
+    await flush();
+    expect(store.map.get('image:https://x/a.png').value).toBe('data:image/png;base64,AAA');
+
+    expect(cache.image.has('https://x/a.png')).toBe(false);
+    expect(await readPersisted('image', 'https://x/a.png')).toBe('data:image/png;base64,AAA');
+    expect(cache.image.get('https://x/a.png')).toBe('data:image/png;base64,AAA');
+  });
+
+  it('ignores expired entries and entries from another version', async () => {
+    store.map.set('image:old', { value: 'data:a', version: 'v1', expires: Date.now() - 1 });
+    store.map.set('image:other', { value: 'data:b', version: 'v0', expires: Date.now() + 1e6 });
+    expect(await readPersisted('image', 'old')).toBeNull();
+    expect(await readPersisted('image', 'other')).toBeNull();
+  });
+
+  it('serves fetchImage from the store without touching the network', async () => {
+    store.map.set('image:https://x/cached.png', { value: 'data:image/png;base64,BBB', version: 'v1', expires: Date.now() + 1e6 });
+    expect(await fetchImage('https://x/cached.png')).toBe('data:image/png;base64,BBB');
+    expect(globalThis.fetch).not.toHaveBeenCalled();
+  });
+});
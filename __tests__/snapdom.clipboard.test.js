@@ -0,0 +1,48 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { snapdom } from '../src/api/snapdom.js';
+import { ClipboardError } from '../src/utils/errors.js';
+
+describe('toClipboard', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  async function capture() {
+    const el = document.createElement('div');
+    el.style.width = '40px';
+    el.style.height = '20px';
+    document.body.appendChild(el);
+    const result = await snapdom(el);
+    document.body.removeChild(el);
+    return result;
+  }
+
+  it('writes a PNG ClipboardItem', async () => {
+    const write = vi.spyOn(navigator.clipboard, 'write').mockResolvedValue();
+    const result = await capture();
+    await result.toClipboard();
+    expect(write).toHaveBeenCalledTimes(1);
+    const [item] = write.mock.calls[0][0];
+    expect(item.types).toContain('image/png');
+    const blob = await item.getType('image/png');
+    expect(blob.type).toBe('image/png');
+  });
+
+  it('adds the html alternate when supported', async () => {
+    const write = vi.spyOn(navigator.clipboard, 'write').mockResolvedValue();
+    const result = await capture();
+    await result.toClipboard({ type: ['png', 'html'] });
+    const [item] = write.mock.calls[0][0];
+    if (typeof ClipboardItem.supports !== 'function' || ClipboardItem.supports('text/html')) {
+      expect(item.types).toContain('text/html');
+    }
+  });
+
+  it('throws ClipboardError when permission is denied', async () => {
+    vi.spyOn(navigator.clipboard, 'write').mockRejectedValue(new DOMException('denied', 'NotAllowedError'));
+    const result = await capture();
+    const err = await result.toClipboard().catch(e => e);
+    expect(err).toBeInstanceOf(ClipboardError);
+    expect(err.code).toBe('permission-denied');
+  });
+});
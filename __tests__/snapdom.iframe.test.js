@@ -0,0 +1,74 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { snapdom } from '../src/index';
+import { deepClone } from '../src/core/clone.js';
+import { cache } from '../src/core/cache.js';
+
+function loadFrame(iframe, html) {
+  return new Promise((resolve) => {
+    iframe.onload = () => resolve();
+    iframe.srcdoc = html;
+  });
+}
+
+describe('iframe capture', () => {
+  let container;
+
+  afterEach(() => {
+    container?.remove();
+    vi.restoreAllMocks();
+  });
+
+  it('renders same-origin iframe content instead of the placeholder', async () => {
+    container = document.createElement('div');
+    const iframe = document.createElement('iframe');
+    iframe.style.cssText = 'width:200px;height:100px;border:0;';
+    container.appendChild(iframe);
+    document.body.appendChild(container);
+    await loadFrame(iframe, '<body style="margin:0"><p>inside frame</p></body>');
+
+    const result = await snapdom(container);
+    const svgText = decodeURIComponent(result.url.split(',')[1]);
+    expect(svgText).toContain('data:image/svg+xml');
+    expect(decodeURIComponent(svgText)).toContain('inside frame');
+  });
+
+  it('keeps the caches and sandbox of the parent capture while capturing the frame', async () => {
+    container = document.createElement('div');
+    container.innerHTML = '<iframe style="width:200px;height:100px;border:0;"></iframe><p>after the frame</p>';
+    document.body.appendChild(container);
+    await loadFrame(container.querySelector('iframe'), '<body style="margin:0"><p>inside frame</p></body>');
+
+    cache.defaultStyle.clear(); // so the capture creates the sandbox
+    const reset = vi.spyOn(cache, 'reset');
+    const remove = vi.spyOn(Element.prototype, 'remove');
+    await snapdom(container);
+    expect(reset).toHaveBeenCalledTimes(1);
+    expect(remove.mock.contexts.filter((el) => el.id === 'snapdom-sandbox')).toHaveLength(1);
+  });
+
+  it('reports the progress of the parent capture only', async () => {
+    container = document.createElement('div');
+    container.innerHTML = '<iframe style="width:200px;height:100px;border:0;"></iframe>';
+    document.body.appendChild(container);
+    await loadFrame(container.querySelector('iframe'), '<body style="margin:0"><p>inside frame</p></body>');
+
+    const phases = [];
+    await snapdom(container, { onProgress: ({ phase }) => phases.push(phase) });
+    expect(phases).toEqual(['clone', 'images', 'backgrounds', 'baseCSS', 'serialize']);
+  });
+
+  it('uses iframeFallback when the frame document is not reachable', async () => {
+    const iframe = document.createElement('iframe');
+    const clone = await deepClone(iframe, new Map(), new WeakMap(), new Map(), false, {
+      iframeFallback: () => 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p6Q2wAAAABJRU5ErkJggg==',
+    });
+    expect(clone.querySelector('img')).not.toBeNull();
+  });
+
+  it('falls back to the striped placeholder by default', async () => {
+    const iframe = document.createElement('iframe');
+    const clone = await deepClone(iframe, new Map(), new WeakMap(), new Map(), false, {});
+    expect(clone.tagName).toBe('DIV');
+    expect(clone.style.backgroundImage).toContain('repeating-linear-gradient');
+  });
+});
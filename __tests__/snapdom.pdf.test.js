@@ -0,0 +1,71 @@
+import { describe, it, expect } from 'vitest';
+import { snapdom } from '../src/api/snapdom.js';
+import { paginate, resolvePageSize } from '../src/utils/pdf.js';
+import { exceedsCanvasLimits } from '../src/utils/tiles.js';
+
+async function countPages(blob) {
+  const text = await blob.text();
+  return (text.match(/\/Type \/Page\b/g) || []).length;
+}
+
+describe('toPdf', () => {
+  it('returns a PDF Blob', async () => {
+    const el = document.createElement('div');
+    el.style.width = '200px';
+    el.style.height = '100px';
+    el.textContent = 'invoice';
+    document.body.appendChild(el);
+    const result = await snapdom(el);
+    const pdf = await result.toPdf();
+    expect(pdf).toBeInstanceOf(Blob);
+    expect(pdf.type).toBe('application/pdf');
+    expect((await pdf.text()).startsWith('%PDF-')).toBe(true);
+    expect(await countPages(pdf)).toBe(1);
+    document.body.removeChild(el);
+  });
+
+  it('splits tall elements into several pages', async () => {
+    const el = document.createElement('div');
+    el.style.width = '400px';
+    for (let i = 0; i < 12; i++) {
+      const block = document.createElement('div');
+      block.style.height = '200px';
+      block.textContent = `Block ${i}`;
+      el.appendChild(block);
+    }
+    document.body.appendChild(el);
+    const result = await snapdom(el, { dpr: 1 });
+    const pdf = await result.toPdf({ pageSize: 'a4', margin: 0 });
+    expect(await countPages(pdf)).toBeGreaterThan(1);
+    const single = await result.toPdf({ paginate: false });
+    expect(await countPages(single)).toBe(1);
+    document.body.removeChild(el);
+  });
+
+  it('paginates captures taller than the maximum canvas size', async () => {
+    const el = document.createElement('div');
+    el.style.width = '100px';
+    el.style.height = '70000px';
+    el.style.background = 'linear-gradient(red, blue)';
+    document.body.appendChild(el);
+    expect(exceedsCanvasLimits(100, 70000)).toBe(true);
+    const result = await snapdom(el, { dpr: 1 });
+    const pdf = await result.toPdf({ pageSize: [100, 10000], margin: 0 });
+    expect(await countPages(pdf)).toBe(7);
+    document.body.removeChild(el);
+  });
+});
+
+describe('pdf helpers', () => {
+  it('resolves named sizes and orientation', () => {
+    expect(resolvePageSize('letter')).toEqual([612, 792]);
+    expect(resolvePageSize('letter', 'landscape')).toEqual([792, 612]);
+    expect(() => resolvePageSize('unknown')).toThrow();
+  });
+
+  it('prefers block breaks and avoids cutting text lines', () => {
+    const slices = paginate(1000, 300, { breaks: [250, 280, 500], lines: [[270, 290]] });
+    expect(slices[0]).toEqual([0, 250]);
+    expect(slices[slices.length - 1][1]).toBe(1000);
+  });
+});
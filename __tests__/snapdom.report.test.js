@@ -0,0 +1,65 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { snapdom } from '../src/index';
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p6Q2wAAAABJRU5ErkJggg==';
+
+describe('capture report', () => {
+  let container;
+
+  afterEach(() => {
+    container?.remove();
+    vi.restoreAllMocks();
+  });
+
+  function setup(html) {
+    container = document.createElement('div');
+    container.innerHTML = html;
+    document.body.appendChild(container);
+    return container;
+  }
+
+  // Serves a pixel for "ok" URLs and a 404 for anything else
+  const fetcher = async (url) => (url.includes('ok') ? await (await fetch(PIXEL)).blob() : new Response('', { status: 404 }));
+
+  it('lists loaded and failed resources', async () => {
+    setup('<img src="https://example.com/ok.png"><img src="https://example.com/missing.png">');
+    const result = await snapdom(container, { fetch: fetcher });
+    const { resources, complete } = result.report;
+    expect(complete).toBe(false);
+    const ok = resources.find(r => r.url === 'https://example.com/ok.png');
+    const missing = resources.find(r => r.url === 'https://example.com/missing.png');
+    expect(ok).toMatchObject({ kind: 'image', status: 'ok' });
+    expect(ok.bytes).toBeGreaterThan(0);
+    expect(missing).toMatchObject({ kind: 'image', status: 'failed', bytes: 0 });
+    expect(missing.error).toBeInstanceOf(Error);
+  });
+
+  it('lists skipped nodes', async () => {
+    setup('<p>kept</p><p class="skip">skipped</p><p data-capture="exclude">excluded</p>');
+    const result = await snapdom(container, { exclude: ['.skip'] });
+    expect(result.report.complete).toBe(true);
+    expect(result.report.skipped.map(s => s.reason)).toEqual(['exclude', 'exclude']);
+    expect(result.report.skipped[0].node.className).toBe('skip');
+  });
+
+  it('lists the source image removed by imageFallback', async () => {
+    setup('<img class="broken" src="https://example.com/missing.png">');
+    const result = await snapdom(container, { fetch: fetcher, imageFallback: 'remove' });
+    expect(result.report.skipped).toEqual([{ node: container.querySelector('.broken'), reason: 'imageFallback' }]);
+  });
+
+  it('collects warnings', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    setup('<p>text</p>');
+    const result = await snapdom(container, { exclude: ['::not a selector'] });
+    expect(result.report.warnings[0].message).toContain('Invalid selector');
+    expect(result.report.warnings[0].error).toBeInstanceOf(Error);
+  });
+
+  it('rejects in strict mode when a resource fails', async () => {
+    setup('<img src="https://example.com/missing.png">');
+    const error = await snapdom(container, { fetch: fetcher, strict: true }).catch(e => e);
+    expect(error).toBeInstanceOf(Error);
+    expect(error.report.resources[0]).toMatchObject({ url: 'https://example.com/missing.png', status: 'failed' });
+  });
+});
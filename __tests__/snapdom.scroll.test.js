@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { snapdom } from '../src/index';
+
+function svgSize(url) {
+  const svgText = decodeURIComponent(url.split(',')[1]);
+  const svg = new DOMParser().parseFromString(svgText, 'image/svg+xml').querySelector('svg');
+  return { width: Number(svg.getAttribute('width')), height: Number(svg.getAttribute('height')) };
+}
+
+describe('scrollMode', () => {
+  let container;
+
+  beforeEach(() => {
+    container = document.createElement('div');
+    container.style.cssText = 'width:100px;height:80px;overflow:auto;';
+    container.innerHTML = '<div style="height:300px">tall content</div><div class="nested" style="height:40px;overflow:auto"><div style="height:200px">nested</div></div>';
+    document.body.appendChild(container);
+    container.scrollTop = 50;
+  });
+
+  afterEach(() => {
+    document.body.removeChild(container);
+  });
+
+  it('keeps the visible scroll window by default', async () => {
+    const url = await snapdom.toRaw(container);
+    expect(svgSize(url).height).toBe(80);
+  });
+
+  it('expands the root to its scroll size in full mode', async () => {
+    const url = await snapdom.toRaw(container, { scrollMode: 'full' });
+    expect(svgSize(url).height).toBeGreaterThanOrEqual(340);
+    expect(container.scrollTop).toBe(50);
+  });
+
+  it('expands nested scroll containers when requested', async () => {
+    const nested = container.querySelector('.nested');
+    const before = nested.getAttribute('style');
+    nested.scrollTop = 60;
+    const url = await snapdom.toRaw(container, { scrollMode: 'full', scrollNested: true });
+    expect(svgSize(url).height).toBeGreaterThanOrEqual(500);
+    expect(nested.getAttribute('style')).toBe(before);
+    expect(nested.scrollTop).toBe(60);
+    expect(container.scrollTop).toBe(50);
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { snapdom } from '../src/index';
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/w8AAn8B9p6Q2wAAAABJRU5ErkJggg==';
+
+describe('tainted canvases', () => {
+  let container;
+
+  afterEach(() => {
+    container?.remove();
+    vi.restoreAllMocks();
+  });
+
+  function setup() {
+    container = document.createElement('div');
+    container.innerHTML = '<p>chart below</p>';
+    const canvas = document.createElement('canvas');
+    canvas.width = 20;
+    canvas.height = 10;
+    vi.spyOn(canvas, 'toDataURL').mockImplementation(() => {
+      throw new DOMException('Tainted canvases may not be exported.', 'SecurityError');
+    });
+    container.appendChild(canvas);
+    document.body.appendChild(container);
+    return canvas;
+  }
+
+  it('keeps capturing and reports the affected canvas', async () => {
+    const canvas = setup();
+    const result = await snapdom(container);
+    expect(result.url.startsWith('data:image/svg+xml')).toBe(true);
+    expect(result.taintedCanvases).toEqual([canvas]);
+  });
+
+  it('uses canvasPlaceholder as replacement image', async () => {
+    setup();
+    const result = await snapdom(container, { canvasPlaceholder: PIXEL });
+    expect(decodeURIComponent(result.url)).toContain(PIXEL);
+  });
+
+  it('uses the onTaintedCanvas hook result', async () => {
+    const canvas = setup();
+    const hook = vi.fn(() => {
+      const el = document.createElement('span');
+      el.textContent = 'chart unavailable';
+      return el;
+    });
+    const result = await snapdom(container, { onTaintedCanvas: hook });
+    expect(hook).toHaveBeenCalledWith(canvas, expect.any(Error));
+    expect(decodeURIComponent(result.url)).toContain('chart unavailable');
+  });
+
+  it('reads the canvas as it is when onCanvas fails for another reason', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    container = document.createElement('div');
+    const canvas = document.createElement('canvas');
+    canvas.width = 20;
+    canvas.height = 10;
+    container.appendChild(canvas);
+    document.body.appendChild(container);
+    const result = await snapdom(container, { onCanvas: () => { throw new TypeError('renderer gone'); } });
+    expect(result.taintedCanvases).toEqual([]);
+    expect(decodeURIComponent(result.url)).toContain(canvas.toDataURL());
+    expect(result.report.warnings.map((w) => w.message)).toContain('[snapdom] Failed to read canvas:');
+  });
+});
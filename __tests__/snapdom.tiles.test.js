@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { snapdom } from '../src/api/snapdom.js';
+import { getTileGrid, getSvgSize, getSvgTileUrl } from '../src/utils/tiles.js';
+
+describe('tiled rasterization', () => {
+  it('computes a tile grid covering the whole output', () => {
+    const rows = getTileGrid(250, 130, 100, 100);
+    expect(rows.length).toBe(2);
+    expect(rows[0].length).toBe(3);
+    expect(rows[1][2]).toEqual({ x: 200, y: 100, width: 50, height: 30 });
+  });
+
+  it('reads and rewrites the SVG viewport', () => {
+    const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="300" height="200" viewBox="0 0 300 200"></svg>';
+    const url = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    expect(getSvgSize(url)).toEqual({ width: 300, height: 200 });
+    const tile = decodeURIComponent(getSvgTileUrl(url, 100, 50, 80, 40).split(',')[1]);
+    expect(tile).toContain('viewBox="100 50 80 40"');
+    expect(tile).toContain('width="80"');
+  });
+
+  it('toTiles returns canvases for every tile', async () => {
+    const el = document.createElement('div');
+    el.style.width = '120px';
+    el.style.height = '90px';
+    el.style.background = 'red';
+    document.body.appendChild(el);
+    const result = await snapdom(el, { dpr: 1 });
+    const tiles = await result.toTiles({ tileSize: 50 });
+    expect(tiles.length).toBe(6);
+    expect(tiles[0].canvas).toBeInstanceOf(HTMLCanvasElement);
+    expect(tiles[5]).toMatchObject({ x: 100, y: 50, width: 20, height: 40 });
+    document.body.removeChild(el);
+  });
+
+  it('stitches tiles into a PNG blob', async () => {
+    const el = document.createElement('div');
+    el.style.width = '64px';
+    el.style.height = '48px';
+    el.style.background = 'blue';
+    document.body.appendChild(el);
+    const result = await snapdom(el);
+    const blob = await result.toBlob({ type: 'png', tiled: true, tileSize: 20 });
+    expect(blob.type).toBe('image/png');
+    const bitmap = await createImageBitmap(blob);
+    expect(bitmap.width).toBe(64);
+    expect(bitmap.height).toBe(48);
+    document.body.removeChild(el);
+  });
+
+  it('returns a tiled PNG image with a data URL', async () => {
+    const el = document.createElement('div');
+    el.style.width = '40px';
+    el.style.height = '30px';
+    el.style.background = 'green';
+    document.body.appendChild(el);
+    const result = await snapdom(el);
+    const img = await result.toPng({ tiled: true, tileSize: 20 });
+    expect(img.naturalWidth).toBe(40);
+    expect(img.src.startsWith('data:image/png')).toBe(true);
+    const copy = new Image();
+    copy.src = img.src;
+    await copy.decode();
+    expect(copy.naturalHeight).toBe(30);
+    document.body.removeChild(el);
+  });
+});
@@ -0,0 +1,98 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { snapdom } from '../src/index';
+
+function svgText(url) {
+  return decodeURIComponent(url.split(',')[1]);
+}
+
+describe('snapdom.watch', () => {
+  let el;
+  let watcher;
+
+  beforeEach(() => {
+    el = document.createElement('div');
+    el.innerHTML = '<p class="a">first</p><p class="b">second</p>';
+    document.body.appendChild(el);
+    watcher = snapdom.watch(el);
+  });
+
+  afterEach(() => {
+    watcher.disconnect();
+    vi.restoreAllMocks();
+    document.body.removeChild(el);
+  });
+
+  it('returns the usual export methods', async () => {
+    const result = await watcher.capture();
+    expect(result.url.startsWith('data:image/svg+xml')).toBe(true);
+    expect(typeof result.toPng).toBe('function');
+  });
+
+  it('reflects text and style changes made between captures', async () => {
+    await watcher.capture();
+    el.querySelector('.a').textContent = 'changed';
+    el.querySelector('.b').style.color = 'rgb(0, 128, 0)';
+    const text = svgText((await watcher.capture()).url);
+    expect(text).toContain('changed');
+    expect(text).toContain('rgb(0, 128, 0)');
+  });
+
+  it('restyles siblings matched by structural selectors after a removal', async () => {
+    const style = document.createElement('style');
+    style.textContent = 'li:first-child { font-weight: bold; }';
+    document.head.appendChild(style);
+    el.innerHTML = '<ul><li>one</li><li>two</li></ul>';
+    await watcher.capture();
+    el.querySelector('li').remove();
+    const text = svgText((await watcher.capture()).url);
+    expect(text).toMatch(/font-weight:\s*700/);
+    style.remove();
+  });
+
+  it('restyles later siblings matched through a sibling combinator', async () => {
+    const style = document.createElement('style');
+    style.textContent = '.tab.active + .panel { color: rgb(255, 0, 0); }';
+    document.head.appendChild(style);
+    el.innerHTML = '<span class="tab">tab</span><div class="panel">panel</div>';
+    await watcher.capture();
+    el.querySelector('.tab').classList.add('active');
+    const text = svgText((await watcher.capture()).url);
+    expect(text).toContain('rgb(255, 0, 0)');
+    style.remove();
+  });
+
+  it('skips the style snapshot of unchanged nodes', async () => {
+    await snapdom.capture(el); // warm the shared caches
+    const spy = vi.spyOn(CSSStyleDeclaration.prototype, 'getPropertyValue');
+    await watcher.capture();
+    const full = spy.mock.calls.length;
+    spy.mockClear();
+    await watcher.capture();
+    expect(spy.mock.calls.length).toBeLessThan(full / 2);
+  });
+
+  it('keeps its snapshots out of concurrent captures', async () => {
+    await watcher.capture();
+    // Not seen by the MutationObserver: the session keeps the old snapshot of .a
+    const style = document.createElement('style');
+    style.textContent = '.a { color: rgb(0, 0, 255); }';
+    document.head.appendChild(style);
+    // The watched capture starts while the plain one is cloning
+    let watched;
+    const plain = await snapdom.capture(el, { filter: () => { watched ??= watcher.capture(); return true; } });
+    await watched;
+    expect(svgText(plain.url)).toContain('rgb(0, 0, 255)');
+    style.remove();
+  });
+
+  it('re-clones everything after invalidate()', async () => {
+    await snapdom.capture(el);
+    const spy = vi.spyOn(CSSStyleDeclaration.prototype, 'getPropertyValue');
+    await watcher.capture();
+    const full = spy.mock.calls.length;
+    spy.mockClear();
+    watcher.invalidate();
+    await watcher.capture();
+    expect(spy.mock.calls.length).toBeGreaterThan(full / 2);
+  });
+});
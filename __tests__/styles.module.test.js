@@ -10,3 +10,25 @@ import { cache } from '../src/core/cache.js';
     inlineAllStyles(el, clone, styleMap, cache, true);
     expect(styleMap.has(clone)).toBe(true);
   });
+
+describe('style snapshot invalidation', () => {
+  it('picks up style changes made between captures', () => {
+    const el = document.createElement('div');
+    document.body.appendChild(el);
+    el.style.color = 'rgb(255, 0, 0)';
+
+    const first = new Map();
+    const clone = document.createElement('div');
+    inlineAllStyles(el, clone, first, new WeakMap(), false);
+
+    el.style.color = 'rgb(0, 0, 255)';
+    cache.reset(); // start of the next capture
+
+    const second = new Map();
+    inlineAllStyles(el, clone, second, new WeakMap(), false);
+
+    expect(second.get(clone)).not.toBe(first.get(clone));
+    expect(second.get(clone)).toContain('rgb(0, 0, 255)');
+    document.body.removeChild(el);
+  });
+});
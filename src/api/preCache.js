@@ -1,14 +1,20 @@
-import { getStyle, inlineSingleBackgroundEntry, fetchImage, splitBackgroundImage } from '../utils/helpers.js';
+import { getStyle, inlineSingleBackgroundEntry, fetchImage, splitBackgroundImage, getImageCacheKey, getLoadPolicy } from '../utils/helpers.js';
 import { embedCustomFonts } from '../modules/fonts.js';
 import { precacheCommonTags } from '../utils/cssTools.js';
 import { cache } from '../core/cache.js';
+import { configurePersistence, isPersistent } from '../core/persist.js';
 
 /**
  * Preloads images, background images, and optionally fonts into cache before DOM capture.
  * Nunca deja promesas rechazadas sin manejar (evita unhandled rejections).
+ *
+ * With `persist: "indexeddb" | "cache"`, enables the persistent cache (if not already
+ * configured) so the preloaded resources survive page reloads.
  */
 export async function preCache(root = document, options = {}) {
-  const { embedFonts = true, reset = false, useProxy } = options;
+  const { embedFonts = true, reset = false, useProxy, imageEncoding, imageQuality, fetch: fetchFn, persist } = options;
+
+  if (persist && !isPersistent()) configurePersistence({ storage: persist });
 
   if (reset) {
     // Resetea sin reasignar (los tests llaman cache.reset(), pero por si acaso)
@@ -19,6 +25,8 @@ export async function preCache(root = document, options = {}) {
    cache.baseStyle.clear(); 
    cache.font.clear(); 
    cache.computedStyle = new WeakMap(); 
+   cache.snapshot = new WeakMap();
+   cache.snapshotKey.clear();
     return;
   }
 
@@ -39,10 +47,12 @@ export async function preCache(root = document, options = {}) {
   for (const img of imgEls) {
     const src = img?.src;
     if (!src) continue;
-    if (!cache.image.has(src)) {
+    const fetchOptions = { useProxy, encoding: imageEncoding, quality: imageQuality, fetch: fetchFn, ...getLoadPolicy(options) };
+    const key = getImageCacheKey(src, fetchOptions);
+    if (!cache.image.has(key)) {
       const p = Promise.resolve()
-        .then(() => fetchImage(src, { useProxy }))
-        .then((dataURL) => { cache.image.set(src, dataURL); })
+        .then(() => fetchImage(src, fetchOptions))
+        .then((dataURL) => { cache.image.set(key, dataURL); })
         .catch(() => {}); // traga error para no propagar
       promises.push(p);
     }
@@ -66,7 +76,7 @@ export async function preCache(root = document, options = {}) {
   }
 
   if (embedFonts) {
-    try {await embedCustomFonts({ preCached: true, localFonts: options.localFonts, useProxy: options.useProxy })} catch {};
+    try {await embedCustomFonts({ preCached: true, localFonts: options.localFonts, root, useProxy: options.useProxy, fetch: fetchFn, ...getLoadPolicy(options) })} catch {};
   }
 
   await Promise.allSettled(promises);
@@ -5,8 +5,17 @@
  */
 
 import { captureDOM } from '../core/capture';
+import { getCaptureState, attachWatchSession } from '../core/context.js';
+import { createWatchSession } from '../core/watch.js';
 import { isSafari } from '../utils/helpers.js';
 import { extendIconFonts } from '../modules/iconFonts.js';
+import { registerCanvas, unregisterCanvas } from '../modules/canvas.js';
+import { configurePersistence, clearPersisted } from '../core/persist.js';
+import { getCacheStats, clearCache, setCacheLimits } from '../core/cache.js';
+import { ClipboardError } from '../utils/errors.js';
+import { exceedsCanvasLimits, getCanvasLimits, getSvgSize, getSvgTileUrl, getTileGrid } from '../utils/tiles.js';
+import { encodePng } from '../utils/png.js';
+import { resolvePageSize, resolveMargin, collectPageBreaks, paginate, dataURLToBytes, buildPdf } from '../utils/pdf.js';
 
 /**
  * Converts an SVG data URL to an HTMLImageElement (vector).
@@ -72,6 +81,11 @@ async function toCanvas(url, { dpr = 1, scale = 1 } = {}) {
 const width = img.naturalWidth * scale;
 const height = img.naturalHeight * scale;
 
+  if (exceedsCanvasLimits(width * dpr, height * dpr)) {
+    if (appended) img.remove();
+    throw new Error("[snapdom] Capture exceeds the maximum canvas size of this browser. Use toTiles() or toBlob({ type: 'png' }) instead");
+  }
+
   const canvas = document.createElement('canvas');
 
 
@@ -94,6 +108,139 @@ ctx.drawImage(img, 0, 0, width, height);
   return canvas;
 }
 
+/**
+ * Whether a raster export of the snapshot needs the tiled path.
+ *
+ * @param {string} url - SVG data URL
+ * @param {Object} options
+ * @param {number} [options.dpr=1] - Device pixel ratio
+ * @param {number} [options.scale=1] - Scale multiplier
+ * @param {boolean} [options.tiled] - Force (true) or disable (false) tiling; detected when omitted
+ * @returns {boolean} True if the output must be rendered in tiles
+ */
+
+function needsTiling(url, { dpr = 1, scale = 1, tiled } = {}) {
+  if (typeof tiled === "boolean") return tiled;
+  const { width, height } = getSvgSize(url);
+  return exceedsCanvasLimits(width * scale * dpr, height * scale * dpr);
+}
+
+/**
+ * Renders one tile of the snapshot by shifting the SVG viewBox.
+ *
+ * @param {string} url - SVG data URL
+ * @param {{x:number,y:number,width:number,height:number}} tile - Tile rect in device pixels
+ * @param {Object} options
+ * @param {number} options.ratio - Device pixels per SVG unit (dpr * scale)
+ * @param {string} [options.backgroundColor] - Background color to fill the tile with
+ * @returns {Promise<HTMLCanvasElement>} The rendered tile
+ */
+
+async function renderTile(url, tile, { ratio, backgroundColor }) {
+  const img = new Image();
+  img.src = getSvgTileUrl(url, tile.x / ratio, tile.y / ratio, tile.width / ratio, tile.height / ratio);
+  img.decoding = 'sync';
+
+  const isSafariBrowser = isSafari();
+  if (isSafariBrowser) document.body.appendChild(img);
+  try {
+    await img.decode();
+    if (isSafariBrowser) await new Promise(resolve => setTimeout(resolve, 100));
+
+    const canvas = document.createElement("canvas");
+    canvas.width = tile.width;
+    canvas.height = tile.height;
+    const ctx = canvas.getContext("2d");
+    if (backgroundColor) {
+      ctx.fillStyle = backgroundColor;
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.drawImage(img, 0, 0, tile.width, tile.height);
+    return canvas;
+  } finally {
+    if (isSafariBrowser) img.remove();
+  }
+}
+
+/**
+ * Computes the tile grid of a snapshot for the given output options.
+ *
+ * @param {string} url - SVG data URL
+ * @param {Object} options
+ * @param {number} [options.dpr=1] - Device pixel ratio
+ * @param {number} [options.scale=1] - Scale multiplier
+ * @param {number|{width:number,height:number}} [options.tileSize] - Tile size in device pixels (defaults to the viewport)
+ * @returns {{width:number,height:number,ratio:number,rows:Array}} Output size and tile rows
+ */
+
+function getTileLayout(url, { dpr = 1, scale = 1, tileSize } = {}) {
+  const { width, height } = getSvgSize(url);
+  if (!width || !height) throw new Error("[snapdom] Cannot read the snapshot size");
+  const ratio = dpr * scale;
+  const outWidth = Math.ceil(width * ratio);
+  const outHeight = Math.ceil(height * ratio);
+  const tw = typeof tileSize === "number" ? tileSize : tileSize?.width ?? Math.ceil(window.innerWidth * dpr);
+  const th = typeof tileSize === "number" ? tileSize : tileSize?.height ?? Math.ceil(window.innerHeight * dpr);
+  return { width: outWidth, height: outHeight, ratio, rows: getTileGrid(outWidth, outHeight, tw, th) };
+}
+
+/**
+ * Renders the snapshot as an array of canvas tiles, each within the browser's canvas limits.
+ *
+ * @param {string} url - SVG data URL
+ * @param {Object} [options]
+ * @param {number} [options.dpr=1] - Device pixel ratio
+ * @param {number} [options.scale=1] - Scale multiplier
+ * @param {string} [options.backgroundColor] - Background color for each tile
+ * @param {number|{width:number,height:number}} [options.tileSize] - Tile size in device pixels (defaults to the viewport)
+ * @returns {Promise<Array<{canvas:HTMLCanvasElement,x:number,y:number,width:number,height:number}>>} Tiles in row order
+ */
+
+async function toTiles(url, { dpr = 1, scale = 1, backgroundColor, tileSize } = {}) {
+  const { ratio, rows } = getTileLayout(url, { dpr, scale, tileSize });
+  const tiles = [];
+  for (const row of rows) {
+    for (const tile of row) {
+      tiles.push({ canvas: await renderTile(url, tile, { ratio, backgroundColor }), ...tile });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Renders the snapshot tile by tile and stitches the tiles into a PNG Blob with a
+ * streaming encoder, so no canvas ever exceeds the browser limits.
+ *
+ * @param {string} url - SVG data URL
+ * @param {Object} [options] - Same options as toTiles
+ * @returns {Promise<Blob>} PNG Blob
+ */
+
+async function toTiledPng(url, { dpr = 1, scale = 1, backgroundColor, tileSize } = {}) {
+  const { width, height, ratio, rows } = getTileLayout(url, { dpr, scale, tileSize });
+
+  async function* scanlines() {
+    for (const row of rows) {
+      const pixels = [];
+      for (const tile of row) {
+        const canvas = await renderTile(url, tile, { ratio, backgroundColor });
+        pixels.push(canvas.getContext("2d").getImageData(0, 0, tile.width, tile.height).data);
+        canvas.width = canvas.height = 0;
+      }
+      for (let y = 0; y < row[0].height; y++) {
+        const line = new Uint8Array(width * 4);
+        row.forEach((tile, i) => {
+          const stride = tile.width * 4;
+          line.set(pixels[i].subarray(y * stride, (y + 1) * stride), tile.x * 4);
+        });
+        yield line;
+      }
+    }
+  }
+
+  return encodePng(width, height, scanlines());
+}
+
 /**
  * Converts a DOM snapshot (SVG data URL) into a Blob of the specified format.
  *
@@ -104,13 +251,17 @@ ctx.drawImage(img, 0, 0, width, height);
  * @param {number} [options.scale=1] - Scale multiplier
  * @param {string} [options.backgroundColor="#fff"] - Background for raster formats
  * @param {number} [options.quality] - JPEG/WebP quality (0–1)
+ * @param {boolean} [options.tiled] - Force or disable tiled PNG rendering (detected by default)
+ * @param {number|Object} [options.tileSize] - Tile size in device pixels for tiled rendering
  * @returns {Promise<Blob>} The resulting Blob
  */
 async function toBlob(url, {
   type = "svg",
   scale = 1,
   backgroundColor = "#fff",
-  quality
+  quality,
+  tiled,
+  tileSize
 } = {}) {
   const mime = {
     jpg: "image/jpeg",
@@ -124,6 +275,11 @@ async function toBlob(url, {
     return new Blob([svgText], { type: "image/svg+xml" });
   }
 
+  if (needsTiling(url, { dpr: 1, scale, tiled })) {
+    if (mime !== "image/png") throw new Error(`[snapdom] Capture exceeds the maximum canvas size; only PNG can be rendered in tiles`);
+    return toTiledPng(url, { dpr: 1, scale, backgroundColor, tileSize });
+  }
+
   const canvas = await createBackground(url, { dpr: 1, scale }, backgroundColor);
   return new Promise((resolve) => {
     canvas.toBlob(blob => resolve(blob), `${mime}`, quality);
@@ -168,14 +324,33 @@ async function toBlob(url, {
  * @param {number} [options.scale=1] - Scale multiplier
  * @param {string} [options.backgroundColor="#fff"] - Background color for rasterization
  * @param {number} [options.quality] - Image quality (for JPEG/WebP)
+ * @param {boolean} [options.tiled] - Force or disable tiled PNG rendering (detected by default)
+ * @param {number|Object} [options.tileSize] - Tile size in device pixels for tiled rendering
  * @param {string} [format="png"] - Output format: "png", "jpeg", or "webp"
  * @returns {Promise<HTMLImageElement>} The resulting raster image
  */
 
- async function toRasterImg(url, { dpr = 1, scale = 1, backgroundColor, quality }, format = "png") {
+ async function toRasterImg(url, { dpr = 1, scale = 1, backgroundColor, quality, tiled, tileSize }, format = "png") {
   const defaultBg = ["jpg", "jpeg", "webp"].includes(format) ? "#fff" : undefined;
   const finalBg = backgroundColor ?? defaultBg;
 
+  if (needsTiling(url, { dpr, scale, tiled })) {
+    if (format !== "png") throw new Error(`[snapdom] Capture exceeds the maximum canvas size; only PNG can be rendered in tiles`);
+    const blob = await toTiledPng(url, { dpr, scale, backgroundColor: finalBg, tileSize });
+    // A data URL like the non-tiled path, so the image stays usable with nothing to revoke
+    const img = new Image();
+    img.src = await new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
+    await img.decode();
+    img.style.width = `${img.naturalWidth / dpr}px`;
+    img.style.height = `${img.naturalHeight / dpr}px`;
+    return img;
+  }
+
   const canvas = await createBackground(url, { dpr, scale }, finalBg);
 
   const img = new Image();
@@ -188,6 +363,155 @@ async function toBlob(url, {
   return img;
 }
 
+/**
+ * Converts a DOM snapshot into a PDF Blob, slicing tall captures into several pages.
+ * Page breaks prefer the edges of block children and avoid cutting through text lines.
+ *
+ * @param {string} url - SVG data URL
+ * @param {Object} options
+ * @param {number} [options.dpr=1] - Device pixel ratio
+ * @param {number} [options.scale=1] - Scale multiplier
+ * @param {string} [options.backgroundColor="#fff"] - Page background color
+ * @param {number} [options.quality=0.92] - JPEG quality of the page images (0–1)
+ * @param {string|number[]} [options.pageSize="a4"] - "a3", "a4", "a5", "letter", "legal", "tabloid" or [width, height] in points
+ * @param {string} [options.orientation="portrait"] - "portrait" or "landscape"
+ * @param {number|Object} [options.margin=36] - Margin in points, or { top, right, bottom, left }
+ * @param {boolean} [options.paginate=true] - Split into several pages instead of shrinking to one
+ * @param {Element} [element] - Original element, used to find clean page breaks
+ * @returns {Promise<Blob>} The resulting PDF Blob
+ */
+
+async function toPdf(url, {
+  dpr = 1,
+  scale = 1,
+  backgroundColor = "#fff",
+  quality = 0.92,
+  pageSize = "a4",
+  orientation = "portrait",
+  margin = 36,
+  paginate: shouldPaginate = true
+} = {}, element) {
+  const [pageWidth, pageHeight] = resolvePageSize(pageSize, orientation);
+  const m = resolveMargin(margin);
+  const boxWidth = pageWidth - m.left - m.right;
+  const boxHeight = pageHeight - m.top - m.bottom;
+  if (boxWidth <= 0 || boxHeight <= 0) throw new Error("[snapdom] PDF margins leave no printable area");
+
+  const size = getSvgSize(url);
+  if (!size.width || !size.height) throw new Error("[snapdom] Cannot read the snapshot size");
+  const cssWidth = size.width * scale;
+  const cssHeight = size.height * scale;
+
+  // Fit the capture to the printable width (or the whole box when not paginating)
+  let ptPerPx = boxWidth / cssWidth;
+  if (!shouldPaginate) ptPerPx = Math.min(ptPerPx, boxHeight / cssHeight);
+  const sliceHeight = boxHeight / ptPerPx;
+
+  let slices = [[0, cssHeight]];
+  if (shouldPaginate) {
+    const layout = collectPageBreaks(element);
+    const rectHeight = element?.isConnected ? element.getBoundingClientRect().height : 0;
+    const k = rectHeight > 0 ? cssHeight / rectHeight : 1;
+    slices = paginate(cssHeight, sliceHeight, {
+      breaks: layout.breaks.map((b) => b * k).filter((b) => b > 0 && b < cssHeight),
+      lines: layout.lines.map(([a, b]) => [a * k, b * k]),
+    });
+  }
+
+  // Each page is rendered on its own from the SVG, so the capture as a whole may
+  // exceed the canvas limits; a single page that still does is rendered at a lower dpr
+  const { maxSide, maxArea } = getCanvasLimits();
+  const pages = [];
+  for (const [start, end] of slices) {
+    const pageDpr = Math.min(dpr, maxSide / cssWidth, maxSide / (end - start), Math.sqrt(maxArea / (cssWidth * (end - start))));
+    const sy = Math.round(start * pageDpr);
+    const tile = {
+      x: 0,
+      y: sy,
+      width: Math.max(1, Math.round(cssWidth * pageDpr)),
+      height: Math.max(1, Math.round(end * pageDpr) - sy),
+    };
+    const page = await renderTile(url, tile, { ratio: pageDpr * scale, backgroundColor: backgroundColor || "#fff" });
+
+    const height = (tile.height / pageDpr) * ptPerPx;
+    pages.push({
+      jpeg: dataURLToBytes(page.toDataURL("image/jpeg", quality)),
+      pixelWidth: page.width,
+      pixelHeight: page.height,
+      x: m.left,
+      y: pageHeight - m.top - height,
+      width: cssWidth * ptPerPx,
+      height,
+    });
+    page.width = page.height = 0;
+  }
+
+  return buildPdf(pages, [pageWidth, pageHeight]);
+}
+
+/**
+ * Copies a DOM snapshot to the system clipboard.
+ * PNG is always written; `image/svg+xml` and `text/html` alternates are added when
+ * requested and supported by the browser (`ClipboardItem.supports`).
+ *
+ * The ClipboardItem is built with Promise-valued entries and written before any
+ * await, so Safari still sees the call as part of the user gesture.
+ *
+ * @param {string} url - SVG data URL
+ * @param {Object} [options]
+ * @param {string|string[]} [options.type="png"] - Representations to write: "png", "svg", "html"
+ * @param {number} [options.dpr=1] - Device pixel ratio
+ * @param {number} [options.scale=1] - Scale multiplier
+ * @param {string} [options.backgroundColor] - Background color for the PNG
+ * @returns {Promise<void>} Resolves when the clipboard has been written
+ * @throws {ClipboardError} When clipboard access is denied or unsupported
+ */
+
+async function toClipboard(url, { type = "png", dpr = 1, scale = 1, backgroundColor } = {}) {
+  const clipboard = typeof navigator !== "undefined" ? navigator.clipboard : null;
+  if (!clipboard?.write || typeof ClipboardItem === "undefined") {
+    throw new ClipboardError("[snapdom] Async Clipboard API is not available", "unsupported");
+  }
+
+  const requested = new Set(Array.isArray(type) ? type : [type]);
+  const supports = (mime) => {
+    if (mime === "image/png") return true;
+    try {
+      return typeof ClipboardItem.supports === "function" && ClipboardItem.supports(mime);
+    } catch {
+      return false;
+    }
+  };
+
+  const png = createBackground(url, { dpr, scale }, backgroundColor).then((canvas) =>
+    new Promise((resolve, reject) => {
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("[snapdom] PNG encoding failed"))), "image/png");
+    })
+  );
+  png.catch(() => {});
+
+  const items = { "image/png": png };
+  if (requested.has("svg") && supports("image/svg+xml")) {
+    items["image/svg+xml"] = toBlob(url, { type: "svg" });
+  }
+  if (requested.has("html") && supports("text/html")) {
+    items["text/html"] = png.then((blob) => new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(new Blob([`<img src="${reader.result}">`], { type: "text/html" }));
+      reader.readAsDataURL(blob);
+    }));
+  }
+
+  try {
+    await clipboard.write([new ClipboardItem(items)]);
+  } catch (e) {
+    if (e?.name === "NotAllowedError" || e?.name === "SecurityError") {
+      throw new ClipboardError("[snapdom] Clipboard permission denied", "permission-denied", e);
+    }
+    throw new ClipboardError("[snapdom] Failed to write to clipboard", "write-failed", e);
+  }
+}
+
 /**
  * Downloads a captured image in the specified format.
  *
@@ -198,10 +522,22 @@ async function toBlob(url, {
  * @param {string} [options.backgroundColor="#fff"] - Background color for rasterization
  * @param {string} [options.format="png"] - Output format
  * @param {string} [options.filename="capture"] - Download filename
+ * @param {Element} [element] - Original element (used for PDF page breaks)
  * @returns {Promise<void>} Resolves when download is triggered
  */
 
- async function download(url,{ dpr = 1, scale = 1, backgroundColor, format = "png", filename = "snapDOM"} = {}) {
+ async function download(url,{ dpr = 1, scale = 1, backgroundColor, format = "png", filename = "snapDOM", ...rest} = {}, element) {
+  if (format === "pdf") {
+    const blob = await toPdf(url, { dpr, scale, backgroundColor, ...rest }, element);
+    const objectURL = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = objectURL;
+    a.download = `${filename}.pdf`;
+    a.click();
+    URL.revokeObjectURL(objectURL);
+    return;
+  }
+
   if (format === "svg") {
     const blob = await toBlob(url);
     const objectURL = URL.createObjectURL(blob);
@@ -216,6 +552,17 @@ async function toBlob(url, {
   const defaultBg = ["jpg", "jpeg", "webp"].includes(format) ? "#fff" : undefined;
   const finalBg = backgroundColor ?? defaultBg;
 
+  if (format === "png" && needsTiling(url, { dpr, scale, tiled: rest.tiled })) {
+    const blob = await toTiledPng(url, { dpr, scale, backgroundColor: finalBg, tileSize: rest.tileSize });
+    const objectURL = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = objectURL;
+    a.download = `${filename}.png`;
+    a.click();
+    URL.revokeObjectURL(objectURL);
+    return;
+  }
+
   const canvas = await createBackground(url, { dpr, scale }, finalBg);
   const mime = {
     jpg: "image/jpeg",
@@ -258,13 +605,29 @@ export async function snapdom(element, options = {}) {
  */
 
 snapdom.capture = async (el, options = {}) => {
-  const url = await captureDOM(el, options);
-const dpr = options.dpr ?? (window.devicePixelRatio || 1);
+  const captureOptions = { ...options };
+  const url = await captureDOM(el, captureOptions);
+  return createResult(el, url, options, getCaptureState(captureOptions));
+};
+
+/**
+ * Builds the result object (export methods) of a capture.
+ *
+ * @param {Element} el - Captured element
+ * @param {string} url - SVG data URL of the capture
+ * @param {Object} options - Capture options, as given by the caller
+ * @param {Object|null} state - Capture state (see context.js)
+ * @returns {Object} Object with export methods
+ */
+function createResult(el, url, options, state) {
+  const dpr = options.dpr ?? (window.devicePixelRatio || 1);
   const scale = options.scale || 1;
 
   return {
     url,
     options,
+    taintedCanvases: state?.taintedCanvases || [],
+    report: state?.report || null,
     toRaw: () => url,
     toImg: (opts = {}) => toImg(url, { dpr, scale, ...opts }),
     toCanvas: (opts = {}) => toCanvas(url, { dpr, scale, ...opts }),
@@ -272,10 +635,63 @@ const dpr = options.dpr ?? (window.devicePixelRatio || 1);
     toPng: (opts = {}) => toRasterImg(url, { dpr, scale, ...opts }, "png"),
     toJpg: (opts = {}) => toRasterImg(url, { dpr, scale, ...opts }, "jpeg"),
     toWebp: (opts = {}) => toRasterImg(url, { dpr, scale, ...opts }, "webp"),
+    toPdf: (opts = {}) => toPdf(url, { dpr, scale, ...opts }, el),
+    toClipboard: (opts = {}) => toClipboard(url, { dpr, scale, ...opts }),
+    toTiles: (opts = {}) => toTiles(url, { dpr, scale, ...opts }),
     download: ({ format = "png", filename = "snapDOM", backgroundColor, ...opts } = {}) =>
-      download(url, { dpr, scale, format, filename, backgroundColor, ...opts }),
+      download(url, { dpr, scale, format, filename, backgroundColor, ...opts }, el),
+  };
+}
+
+/**
+ * Watches an element for repeated captures. Each `capture()` re-clones only the subtrees
+ * that changed since the previous one (tracked with a MutationObserver) and returns the
+ * same result object as `snapdom.capture()`.
+ *
+ * Changes that aren't DOM mutations inside the element (stylesheet edits, media queries,
+ * :hover) are not detected: call `invalidate()` after them.
+ *
+ * @param {Element} el - Element to watch
+ * @param {Object} [options={}] - Capture options, used for every capture
+ * @returns {{capture: () => Promise<Object>, invalidate: (node?: Element) => void, disconnect: () => void}} Watcher
+ */
+snapdom.watch = (el, options = {}) => {
+  if (!el) throw new Error("Element cannot be null or undefined");
+  const session = createWatchSession(el);
+  return {
+    async capture() {
+      const captureOptions = { ...options };
+      attachWatchSession(captureOptions, session);
+      const url = await captureDOM(el, captureOptions);
+      return createResult(el, url, options, getCaptureState(captureOptions));
+    },
+    invalidate: (node) => session.invalidate(node),
+    disconnect: () => session.disconnect(),
   };
+};
+
+/**
+ * Registers a "render now" callback for a canvas (e.g. a WebGL scene without
+ * `preserveDrawingBuffer`). It is called right before the canvas is read.
+ */
+snapdom.registerCanvas = registerCanvas;
+snapdom.unregisterCanvas = unregisterCanvas;
 
+/**
+ * Cache controls.
+ * - `configure({ storage, ttl, version, limits })`: persistent layer (IndexedDB or the
+ *   Cache API) and per-cache limits, e.g. `limits: { image: { entries: 100, bytes: 20e6 } }`
+ * - `stats()`: entry counts and estimated bytes per cache
+ * - `clear(kind?)`: clears one in-memory cache, or all of them
+ */
+snapdom.cache = {
+  configure({ limits, ...persistence } = {}) {
+    if (limits) setCacheLimits(limits);
+    if ("storage" in persistence) configurePersistence(persistence);
+  },
+  stats: getCacheStats,
+  clear: clearCache,
+  clearPersisted,
 };
 
 // Compatibilidad
@@ -286,6 +702,8 @@ snapdom.toBlob = async (el, options) => (await snapdom.capture(el, options)).toB
 snapdom.toPng = async (el, options) => (await snapdom.capture(el, options)).toPng(options);
 snapdom.toJpg = async (el, options) => (await snapdom.capture(el, options)).toJpg(options);
 snapdom.toWebp = async (el, options) => (await snapdom.capture(el, options)).toWebp(options);
+snapdom.toPdf = async (el, options) => (await snapdom.capture(el, options)).toPdf(options);
+snapdom.toClipboard = async (el, options) => (await snapdom.capture(el, options)).toClipboard(options);
 snapdom.download = async (el, options = {}) => {
   const {
     format = "png",
@@ -295,5 +713,5 @@ snapdom.download = async (el, options = {}) => {
   } = options;
 
   const capture = await snapdom.capture(el, rest);
-  return await capture.download({ format, filename, backgroundColor });
+  return await capture.download({ ...rest, format, filename, backgroundColor });
 };
\ No newline at end of file
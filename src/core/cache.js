@@ -1,21 +1,116 @@
 /**
  * Caches for images, backgrounds, resources, and computed styles used during DOM capture.
+ * Map-like caches are bounded (entries and estimated bytes) with LRU eviction.
  * @module cache
  */
 
+import { LRUCache, estimateBytes } from './lru.js';
+
+const MB = 1024 * 1024;
+
 export const cache = {
-  image: new Map(),
-  background: new Map(),
-  resource: new Map(),
-  defaultStyle: new Map(),
-  baseStyle: new Map(),
+  image: new LRUCache({ maxEntries: 500, maxBytes: 100 * MB }),
+  background: new LRUCache({ maxEntries: 500, maxBytes: 100 * MB }),
+  // A font evicted from resources is no longer embedded: forget it in `font` too
+  resource: new LRUCache({ maxEntries: 200, maxBytes: 50 * MB, onEvict: (url) => cache.font.delete(url) }),
+  defaultStyle: new LRUCache({ maxEntries: 500 }),
+  baseStyle: new LRUCache({ maxEntries: 200, maxBytes: 10 * MB }),
   computedStyle: new WeakMap(),
   font: new Set(),
   snapshot: new WeakMap(),
-  snapshotKey: new Map(),
+  snapshotKey: new LRUCache({ maxEntries: 5000, maxBytes: 50 * MB }),
   reset: resetCache
 };
 
+// Called at the start of every capture: per-element caches must not survive DOM changes
 function resetCache() {
   cache.computedStyle = new WeakMap();
+  cache.snapshot = new WeakMap();
+}
+
+// Module-private caches of other modules (e.g. in-flight requests), by kind
+const registered = new Map();
+
+/**
+ * Makes a module-private cache visible to stats(), clear() and limits.
+ *
+ * @param {string} kind - Name used by stats() / clear()
+ * @param {Map|Set} store - The cache
+ * @returns {Map|Set} The same store, for inline use
+ */
+export function registerCache(kind, store) {
+  registered.set(kind, store);
+  return store;
+}
+
+function getStores() {
+  const stores = new Map();
+  for (const [kind, store] of Object.entries(cache)) {
+    if (store instanceof Map || store instanceof Set) stores.set(kind, store);
+  }
+  for (const [kind, store] of registered) stores.set(kind, store);
+  return stores;
+}
+
+/**
+ * Entry counts and estimated bytes per cache.
+ *
+ * @returns {Object<string, {entries:number, bytes:number, maxEntries?:number, maxBytes?:number}>} Stats by kind, plus `total`
+ */
+export function getCacheStats() {
+  const stats = {};
+  let entries = 0;
+  let bytes = 0;
+  for (const [kind, store] of getStores()) {
+    let size = store.bytes;
+    if (size === undefined) {
+      size = 0;
+      for (const key of store.keys()) size += estimateBytes(key);
+    }
+    stats[kind] = { entries: store.size, bytes: size };
+    if (store instanceof LRUCache) {
+      stats[kind].maxEntries = store.maxEntries;
+      stats[kind].maxBytes = store.maxBytes;
+    }
+    entries += store.size;
+    bytes += size;
+  }
+  stats.total = { entries, bytes };
+  return stats;
+}
+
+/**
+ * Clears one cache, or all of them when no kind is given.
+ * WeakMap caches (`computedStyle`, `snapshot`) are replaced.
+ *
+ * @param {string} [kind] - Cache to clear, e.g. "image", "resource", "inflight"
+ */
+export function clearCache(kind) {
+  if (kind === undefined) {
+    for (const store of getStores().values()) store.clear();
+    cache.computedStyle = new WeakMap();
+    cache.snapshot = new WeakMap();
+    return;
+  }
+  if (kind === "computedStyle" || kind === "snapshot") {
+    cache[kind] = new WeakMap();
+    return;
+  }
+  const store = getStores().get(kind);
+  if (!store) throw new Error(`[snapdom] Unknown cache kind: ${kind}`);
+  store.clear();
+}
+
+/**
+ * Changes the limits of bounded caches.
+ *
+ * @param {Object<string, {entries?:number, bytes?:number}>} limits - Limits by kind, e.g. `{ image: { entries: 100, bytes: 20e6 } }`
+ */
+export function setCacheLimits(limits = {}) {
+  const stores = getStores();
+  for (const [kind, { entries, bytes } = {}] of Object.entries(limits)) {
+    const store = stores.get(kind);
+    if (!(store instanceof LRUCache)) throw new Error(`[snapdom] Cache "${kind}" has no limits`);
+    store.setLimits({ maxEntries: entries, maxBytes: bytes });
+  }
 }
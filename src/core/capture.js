@@ -6,10 +6,34 @@
 import { prepareClone } from './prepare.js';
 import { inlineImages } from '../modules/images.js';
 import { inlineBackgroundImages } from '../modules/background.js';
-import { idle, isSafari } from '../utils/helpers.js';
+import { idle, isSafari, throwIfAborted, reportProgress, getLoadPolicy } from '../utils/helpers.js';
 import { collectUsedTagNames, generateDedupedBaseCSS } from '../utils/cssTools.js';
-import { embedCustomFonts } from '../modules/fonts.js';
+import { embedCustomFonts, collectUsedFonts } from '../modules/fonts.js';
 import { cache } from '../core/cache.js'
+import { beginCapture } from './context.js';
+
+/**
+ * Runs one capture phase in an idle callback, after checking the abort signal.
+ * Errors thrown by the phase reject the returned promise.
+ *
+ * @param {AbortSignal} [signal] - Abort signal of the capture
+ * @param {boolean} fast - Whether to skip the idle delay
+ * @param {Function} fn - Phase body, sync or async
+ * @returns {Promise<void>}
+ */
+function runPhase(signal, fast, fn) {
+  throwIfAborted(signal);
+  return new Promise((resolve, reject) => {
+    idle(async () => {
+      try {
+        await fn();
+        resolve();
+      } catch (e) {
+        reject(e);
+      }
+    }, { fast });
+  });
+}
 
 /**
  * Captures an HTML element as an SVG data URL, inlining styles, images, backgrounds, and optionally fonts.
@@ -18,63 +42,77 @@ import { cache } from '../core/cache.js'
  * @param {Object} [options={}] - Capture options
  * @param {boolean} [options.compress=true] - Whether to compress style keys
  * @param {boolean} [options.embedFonts=false] - Whether to embed custom fonts
+ * @param {boolean} [options.subsetFonts=false] - Subset embedded fonts to the glyphs of the captured text
  * @param {boolean} [options.fast=true] - Whether to skip idle delay for faster results
  * @param {number} [options.scale=1] - Output scale multiplier
  * @param {string[]} [options.exclude] - CSS selectors for elements to exclude
  * @param {Function} [options.filter] - Custom filter function 
+ * @param {string} [options.scrollMode="visible"] - "full" captures the entire scrollable content
+ * @param {Function} [options.fetch] - Custom fetcher used for every resource load
+ * @param {number} [options.timeout] - Time budget in ms; resources still loading then are replaced by fallbacks
+ * @param {number} [options.resourceTimeout] - Timeout per resource load attempt, in ms
+ * @param {number} [options.retries=0] - Retries of failed resource loads
+ * @param {number} [options.retryDelay=250] - Delay before the first retry, doubled on each one
+ * @param {AbortSignal} [options.signal] - Cancels the capture; checked between phases and image batches
+ * @param {boolean} [options.strict=false] - Reject when any resource fails to load (the error carries the `report`)
+ * @param {Function} [options.onProgress] - Called with `{ phase, done, total }` as phases complete
  * @returns {Promise<string>} Promise that resolves to an SVG data URL
+ * @throws {DOMException} AbortError if `options.signal` is aborted
+ * @throws {Error} In `strict` mode, when a resource failed to load
  */
 
 export async function captureDOM(element, options = {}) {
   if (!element) throw new Error("Element cannot be null or undefined");
-   cache.reset()
-  const { compress = true, embedFonts = false, fast = true, scale = 1, useProxy = '', localFonts = []} = options;
-  let clone, classCSS, styleCache;
+  const { signal } = options;
+  throwIfAborted(signal);
+  // Nested captures (iframes) share the caches of the capture they belong to
+  if (!options.nested) cache.reset()
+  const { report, watch } = beginCapture(options);
+  watch?.begin();
+  const { compress = true, embedFonts = false, fast = true, scale = 1, useProxy = '', localFonts = [], fetch: fetchFn } = options;
+  let clone, classCSS, styleCache, size;
   let fontsCSS = "";
   let baseCSS = "";
   let dataURL;
   let svgString;
 
-  ({ clone, classCSS, styleCache } = await prepareClone(element, compress, embedFonts, options));
+  try {
+    ({ clone, classCSS, styleCache, size } = await prepareClone(element, compress, embedFonts, options));
+    reportProgress(options, "clone");
 
-  await new Promise((resolve) => {
-    idle(async () => {
+    await runPhase(signal, fast, async () => {
       await inlineImages(clone, options);
-      resolve();
-    }, { fast });
-  });
-  await new Promise((resolve) => {
-    idle(async () => {
+    });
+    await runPhase(signal, fast, async () => {
       await inlineBackgroundImages(element, clone, styleCache, options);
-      resolve();
-    }, { fast });
-  });
-  if (embedFonts) {
-    await new Promise((resolve) => {
-      idle(async () => {
-        fontsCSS = await embedCustomFonts({ localFonts, useProxy });
-        resolve();
-      }, { fast });
     });
-  }
-  if (compress) {
-    const usedTags = collectUsedTagNames(clone).sort();
-    const tagKey = usedTags.join(",");
-    if (cache.baseStyle.has(tagKey)) {
-      baseCSS = cache.baseStyle.get(tagKey);
-    } else {
-      await new Promise((resolve) => {
-        idle(() => {
+    reportProgress(options, "backgrounds");
+    if (embedFonts) {
+      await runPhase(signal, fast, async () => {
+        // Only the faces (and unicode-range slices) the captured text is rendered with
+        const codePoints = new Set();
+        const usedFonts = collectUsedFonts(element, codePoints);
+        fontsCSS = await embedCustomFonts({ localFonts, usedFonts, root: element, codePoints, subsetFonts: !!options.subsetFonts, useProxy, fetch: fetchFn, ...getLoadPolicy(options), report });
+      });
+      reportProgress(options, "fonts");
+    }
+    if (compress) {
+      const usedTags = collectUsedTagNames(clone).sort();
+      const tagKey = usedTags.join(",");
+      if (cache.baseStyle.has(tagKey)) {
+        baseCSS = cache.baseStyle.get(tagKey);
+      } else {
+        await runPhase(signal, fast, () => {
           baseCSS = generateDedupedBaseCSS(usedTags);
           cache.baseStyle.set(tagKey, baseCSS);
-          resolve();
-        }, { fast });
-      });
+        });
+      }
+      reportProgress(options, "baseCSS");
     }
-  }
-  await new Promise((resolve) => {
-    idle(() => {
-      const rect = element.getBoundingClientRect();
+    await runPhase(signal, fast, () => {
+      const bounds = element.getBoundingClientRect();
+      // scrollMode "full": the SVG follows the expanded scroll size
+      const rect = size ? { width: Math.max(bounds.width, size.width), height: Math.max(bounds.height, size.height) } : bounds;
       let w = rect.width;
       let h = rect.height;
       const hasW = Number.isFinite(options.width);
@@ -120,11 +158,19 @@ export async function captureDOM(element, options = {}) {
       const svgFooter = "</svg>";
       svgString = svgHeader + foString + svgFooter;
       dataURL = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgString)}`;
-      resolve();
-    }, { fast });
-  });
-  const sandbox = document.getElementById("snapdom-sandbox");
-  if (sandbox && sandbox.style.position === "absolute") sandbox.remove();
+    });
+    reportProgress(options, "serialize");
+    report.complete = report.resources.every((r) => r.status === "ok");
+    if (options.strict && !report.complete) {
+      const failed = report.resources.filter((r) => r.status !== "ok");
+      const error = new Error(`[snapdom] ${failed.length} resource(s) failed to load: ${failed.map((r) => r.url).join(", ")}`);
+      error.report = report;
+      throw error;
+    }
+  } finally {
+    const sandbox = document.getElementById("snapdom-sandbox");
+    if (!options.nested && sandbox && sandbox.style.position === "absolute") sandbox.remove();
+  }
   return dataURL;
 }
 
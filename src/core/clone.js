@@ -4,7 +4,11 @@
  */
 
 import { inlineAllStyles } from '../modules/styles.js';
-import { idle } from '../utils/helpers.js'
+import { idle, getStyle } from '../utils/helpers.js'
+import { captureDOM } from './capture.js';
+import { canvasToDataURL } from '../modules/canvas.js';
+import { getImageSizing } from '../modules/images.js';
+import { getCaptureState, mergeCaptureState, recordSkipped, recordWarning } from './context.js';
 
 function idleCallback(childList, callback) {
   return Promise.all(childList.map(child => {
@@ -51,6 +55,163 @@ function freezeImgSrcset(original, cloned) {
 }
 
 
+/**
+ * Draws the current frame of a <video> into a canvas and returns it as a data URL.
+ * Returns null when there is no decoded frame yet or the video is cross-origin tainted.
+ *
+ * @param {HTMLVideoElement} video - Original video element
+ * @returns {string|null} PNG data URL of the current frame, or null
+ */
+function captureVideoFrame(video) {
+  // HAVE_CURRENT_DATA (2) is required to draw a frame
+  if (video.readyState < 2 || !video.videoWidth || !video.videoHeight) return null;
+  try {
+    const canvas = document.createElement("canvas");
+    canvas.width = video.videoWidth;
+    canvas.height = video.videoHeight;
+    canvas.getContext("2d").drawImage(video, 0, 0, canvas.width, canvas.height);
+    return canvas.toDataURL();
+  } catch {
+    return null; // SecurityError: tainted by cross-origin data
+  }
+}
+
+/**
+ * Builds the replacement for a canvas that cannot be read.
+ * Uses `options.onTaintedCanvas(canvas, error)` (Node or image URL), then
+ * `options.canvasPlaceholder` (image URL), then a plain gray box.
+ *
+ * @param {HTMLCanvasElement} canvas - Original canvas
+ * @param {Error} error - Error thrown while reading it
+ * @param {Object} options - Capture options
+ * @returns {Promise<Element>} Replacement element
+ */
+async function createTaintedCanvasPlaceholder(canvas, error, options) {
+  let result = null;
+  if (typeof options.onTaintedCanvas === "function") {
+    try {
+      result = await options.onTaintedCanvas(canvas, error);
+    } catch (e) {
+      recordWarning(getCaptureState(options)?.report, "[snapdom] Error in onTaintedCanvas:", e);
+    }
+  }
+  if (result && typeof result === "object" && result.nodeType) return result;
+
+  const src = typeof result === "string" && result ? result : options.canvasPlaceholder;
+  if (typeof src === "string" && src) {
+    const img = document.createElement("img");
+    img.src = src;
+    img.width = canvas.width;
+    img.height = canvas.height;
+    return img;
+  }
+
+  const box = document.createElement("div");
+  box.style.backgroundColor = "#eee";
+  return box;
+}
+
+/**
+ * Striped placeholder used for iframes that cannot be rendered (cross-origin or not loaded).
+ * @param {HTMLIFrameElement} node - Original iframe
+ * @returns {HTMLDivElement} Placeholder element
+ */
+function createIframePlaceholder(node) {
+  const fallback = document.createElement("div");
+  fallback.style.cssText = `width:${node.offsetWidth}px;height:${node.offsetHeight}px;background-image:repeating-linear-gradient(45deg,#ddd,#ddd 5px,#f9f9f9 5px,#f9f9f9 10px);display:flex;align-items:center;justify-content:center;font-size:12px;color:#555;border:1px solid #aaa;`;
+  return fallback;
+}
+
+/**
+ * Clones an <iframe>. Same-origin frames are captured recursively with the regular
+ * pipeline and shown through a viewport that matches the frame size and scroll position.
+ * Cross-origin frames use `options.iframeFallback(iframe)` when provided, or the striped placeholder.
+ *
+ * @param {HTMLIFrameElement} node - Original iframe
+ * @param {Map} styleMap - Map of cloned nodes to style keys
+ * @param {WeakMap} styleCache - Computed style cache
+ * @param {Map} nodeMap - Map of cloned nodes to originals
+ * @param {boolean} compress - Whether to compress style keys
+ * @param {Object} options - Capture options
+ * @returns {Promise<HTMLElement>} Element standing in for the iframe
+ */
+async function cloneIframe(node, styleMap, styleCache, nodeMap, compress, options) {
+  let doc = null;
+  try {
+    doc = node.contentDocument;
+  } catch {
+    doc = null; // cross-origin
+  }
+
+  let content = null;
+  if (doc?.body) {
+    try {
+      const body = doc.body;
+      const frameOptions = {
+        ...options,
+        width: undefined,
+        height: undefined,
+        scale: 1,
+        scrollMode: "visible",
+        // the frame's failures are merged into the parent report, which decides in strict mode
+        strict: false,
+        // phases of the frame are not phases of the capture; `signal` still cancels it
+        onProgress: undefined,
+        deadline: getCaptureState(options)?.deadline,
+        // part of the parent capture: its caches and sandbox are still in use
+        nested: true,
+      };
+      const url = await captureDOM(body, frameOptions);
+      mergeCaptureState(getCaptureState(options), getCaptureState(frameOptions));
+      // Body rect is relative to the frame viewport, so it already reflects the frame scroll
+      const rect = body.getBoundingClientRect();
+      const rootStyle = getStyle(doc.documentElement);
+      const bodyStyle = getStyle(body);
+      const transparent = (c) => !c || c === "transparent" || c === "rgba(0, 0, 0, 0)";
+      const bg = !transparent(rootStyle.backgroundColor) ? rootStyle.backgroundColor
+        : !transparent(bodyStyle.backgroundColor) ? bodyStyle.backgroundColor : "";
+
+      content = document.createElement("div");
+      content.style.cssText = `position:relative;overflow:hidden;width:${node.clientWidth}px;height:${node.clientHeight}px;${bg ? `background-color:${bg};` : ""}`;
+      const img = document.createElement("img");
+      img.src = url;
+      img.style.cssText = `position:absolute;left:${rect.left}px;top:${rect.top}px;width:${rect.width}px;height:${rect.height}px;max-width:none;`;
+      content.appendChild(img);
+    } catch (e) {
+      recordWarning(getCaptureState(options)?.report, "[snapdom] Failed to capture iframe content:", e);
+      content = null;
+    }
+  }
+
+  if (!content && typeof options.iframeFallback === "function") {
+    try {
+      const result = await options.iframeFallback(node);
+      if (result && typeof result === "object" && result.nodeType) {
+        content = result;
+      } else if (typeof result === "string" && result) {
+        content = document.createElement("img");
+        content.src = result;
+        content.style.cssText = `display:block;width:${node.clientWidth}px;height:${node.clientHeight}px;object-fit:cover;`;
+      }
+    } catch (e) {
+      recordWarning(getCaptureState(options)?.report, "[snapdom] Error in iframeFallback:", e);
+    }
+  }
+
+  if (!content) {
+    recordSkipped(getCaptureState(options)?.report, node, "iframe");
+    return createIframePlaceholder(node);
+  }
+
+  const wrapper = document.createElement("div");
+  nodeMap.set(wrapper, node);
+  inlineAllStyles(node, wrapper, styleMap, styleCache, compress, options);
+  if (getStyle(node).display === "inline") wrapper.style.display = "inline-block";
+  wrapper.style.overflow = "hidden";
+  wrapper.appendChild(content);
+  return wrapper;
+}
+
 /**
  * Creates a deep clone of a DOM node, including styles, shadow DOM, and special handling for excluded/placeholder/canvas nodes.
  *
@@ -79,8 +240,15 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
     return node.cloneNode(true);
   }
 
+  // 2b. Unchanged subtree of a watched capture: reuse the previous clone
+  const reused = getCaptureState(options)?.watch?.reuse(node, styleMap, nodeMap, options);
+  if (reused) return reused;
+
+  const report = getCaptureState(options)?.report;
+
   // 3. Exclude by attribute
   if (node.getAttribute("data-capture") === "exclude") {
+    recordSkipped(report, node, "exclude");
     const spacer = document.createElement("div");
     const rect = node.getBoundingClientRect();
     spacer.style.cssText = `display:inline-block;width:${rect.width}px;height:${rect.height}px;visibility:hidden;`;
@@ -92,13 +260,14 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
     for (const selector of options.exclude) {
       try {
         if (node.matches?.(selector)) {
+          recordSkipped(report, node, "exclude");
           const spacer = document.createElement("div");
           const rect = node.getBoundingClientRect();
           spacer.style.cssText = `display:inline-block;width:${rect.width}px;height:${rect.height}px;visibility:hidden;`;
           return spacer;
         }
       } catch (err) {
-        console.warn(`Invalid selector in exclude option: ${selector}`, err);
+        recordWarning(report, `Invalid selector in exclude option: ${selector}`, err);
       }
     }
   }
@@ -107,28 +276,27 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
   if (typeof options.filter === "function") {
     try {
       if (!options.filter(node, originalRoot || node)) {
+        recordSkipped(report, node, "filter");
         const spacer = document.createElement("div");
         const rect = node.getBoundingClientRect();
         spacer.style.cssText = `display:inline-block;width:${rect.width}px;height:${rect.height}px;visibility:hidden;`;
         return spacer;
       }
     } catch (err) {
-      console.warn("Error in filter function:", err);
+      recordWarning(report, "Error in filter function:", err);
     }
   }
 
-  // 6. Special case: iframe → fallback pattern
+  // 6. Special case: iframe → recursive capture (same-origin) or fallback pattern
   if (node.tagName === "IFRAME") {
-    const fallback = document.createElement("div");
-    fallback.style.cssText = `width:${node.offsetWidth}px;height:${node.offsetHeight}px;background-image:repeating-linear-gradient(45deg,#ddd,#ddd 5px,#f9f9f9 5px,#f9f9f9 10px);display:flex;align-items:center;justify-content:center;font-size:12px;color:#555;border:1px solid #aaa;`;
-    return fallback;
+    return cloneIframe(node, styleMap, styleCache, nodeMap, compress, options);
   }
 
   // 7. Placeholder nodes
   if (node.getAttribute("data-capture") === "placeholder") {
     const clone2 = node.cloneNode(false);
     nodeMap.set(clone2, node);
-    inlineAllStyles(node, clone2, styleMap, styleCache, compress);
+    inlineAllStyles(node, clone2, styleMap, styleCache, compress, options);
     const placeholder = document.createElement("div");
     placeholder.textContent = node.getAttribute("data-placeholder-text") || "";
     placeholder.style.cssText = `color:#666;font-size:12px;text-align:center;line-height:1.4;padding:0.5em;box-sizing:border-box;`;
@@ -138,16 +306,56 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
 
   // 8. Canvas → convert to image
   if (node.tagName === "CANVAS") {
-    const dataURL = node.toDataURL();
+    let dataURL;
+    try {
+      dataURL = await canvasToDataURL(node, options);
+    } catch (err) {
+      // A failing onCanvas or registered renderer: read the canvas as it is
+      if (err?.name !== "SecurityError") {
+        recordWarning(getCaptureState(options)?.report, "[snapdom] Failed to read canvas:", err);
+        try {
+          dataURL = node.toDataURL();
+        } catch (e) {
+          err = e;
+        }
+      }
+      if (!dataURL) {
+        // Tainted by cross-origin data (SecurityError): don't let one canvas kill the capture
+        if (err?.name === "SecurityError") getCaptureState(options)?.taintedCanvases.push(node);
+        const replacement = await createTaintedCanvasPlaceholder(node, err, options);
+        nodeMap.set(replacement, node);
+        inlineAllStyles(node, replacement, styleMap, styleCache, compress, options);
+        return replacement;
+      }
+    }
     const img = document.createElement("img");
     img.src = dataURL;
     img.width = node.width;
     img.height = node.height;
     nodeMap.set(img, node);
-    inlineAllStyles(node, img, styleMap, styleCache, compress);
+    inlineAllStyles(node, img, styleMap, styleCache, compress, options);
     return img;
   }
 
+  // 8b. Video → current frame as image (poster or placeholder as fallback)
+  if (node.tagName === "VIDEO") {
+    const frame = captureVideoFrame(node);
+    const style = getStyle(node);
+    let replacement;
+    if (frame || node.poster) {
+      replacement = document.createElement("img");
+      replacement.src = frame || node.poster;
+      replacement.style.objectFit = style.objectFit;
+      replacement.style.objectPosition = style.objectPosition;
+    } else {
+      replacement = document.createElement("div");
+      replacement.style.backgroundColor = "#000";
+    }
+    nodeMap.set(replacement, node);
+    inlineAllStyles(node, replacement, styleMap, styleCache, compress, options);
+    return replacement;
+  }
+
   // 9. Base clone (without children)
   let clone;
   try {
@@ -156,6 +364,7 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
     
     if (node.tagName === 'IMG') {
       freezeImgSrcset(node, clone);
+      if (options.downsampleImages) getCaptureState(options)?.imageSizing.set(clone, getImageSizing(node));
     }
   } catch (err) {
     console.error("[Snapdom] Failed to clone node:", node, err);
@@ -163,7 +372,7 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
   }
 
   // Special handling: textarea (keep size and value)
-  if (node instanceof HTMLTextAreaElement) {
+  if (node.tagName === "TEXTAREA") {
     clone.textContent = node.value;
     clone.value = node.value;
     const rect = node.getBoundingClientRect();
@@ -173,7 +382,7 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
   }
 
   // Special handling: input
-  if (node instanceof HTMLInputElement) {
+  if (node.tagName === "INPUT") {
     clone.value = node.value;
     clone.setAttribute("value", node.value);
     if (node.checked !== void 0) {
@@ -185,12 +394,12 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
   }
 
   // Special handling: select → postpone value adjustment
-  if (node instanceof HTMLSelectElement) {
+  if (node.tagName === "SELECT") {
     pendingSelectValue = node.value;
   }
 
   // 11. Inline styles
-  inlineAllStyles(node, clone, styleMap, styleCache, compress);
+  inlineAllStyles(node, clone, styleMap, styleCache, compress, options);
 
   // 12. ShadowRoot logic
   if (node.shadowRoot) {
@@ -240,7 +449,7 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
             }
             continue;
           }
-          const clonedChild = deepClone(child, styleMap, styleCache, nodeMap, compress, options, originalRoot || node);
+          const clonedChild = await deepClone(child, styleMap, styleCache, nodeMap, compress, options, originalRoot || node);
           if (clonedChild) shadowFrag.appendChild(clonedChild);
         }
         clone.appendChild(shadowFrag);
@@ -267,7 +476,7 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
       return fragment;
     } else {
       for (const child of nodesToClone) {
-        const clonedChild = deepClone(child, styleMap, styleCache, nodeMap, compress, options, originalRoot || node);
+        const clonedChild = await deepClone(child, styleMap, styleCache, nodeMap, compress, options, originalRoot || node);
         if (clonedChild) fragment.appendChild(clonedChild);
       }
       return fragment;
@@ -291,13 +500,13 @@ export async function deepClone(node, styleMap, styleCache, nodeMap, compress, o
     for (const child of node.childNodes) {
       if (clonedAssignedNodes.has(child)) continue;
 
-      const clonedChild = deepClone(child, styleMap, styleCache, nodeMap, compress, options, originalRoot || node);
+      const clonedChild = await deepClone(child, styleMap, styleCache, nodeMap, compress, options, originalRoot || node);
       if (clonedChild) clone.appendChild(clonedChild);
     }
   }
 
   // Adjust select value after children are cloned
-  if (pendingSelectValue !== null && clone instanceof HTMLSelectElement) {
+  if (pendingSelectValue !== null && clone.tagName === "SELECT") {
     clone.value = pendingSelectValue;
     for (const opt of clone.options) {
       if (opt.value === pendingSelectValue) {
@@ -0,0 +1,125 @@
+/**
+ * Per-capture state shared between the capture phases and reported back on the result.
+ * State is keyed by the options object of a capture, so concurrent captures don't mix.
+ * @module context
+ */
+
+const states = new WeakMap();
+const watchSessions = new WeakMap();
+
+/**
+ * Marks a capture as part of a watch session (see watch.js), before it starts.
+ *
+ * @param {Object} options - Options object of the capture
+ * @param {Object} session - Watch session
+ */
+export function attachWatchSession(options, session) {
+  watchSessions.set(options, session);
+}
+
+/**
+ * Creates (or replaces) the state of a capture.
+ *
+ * @param {Object} options - Options object of the capture (used as key)
+ * @returns {Object} Fresh capture state
+ */
+export function beginCapture(options) {
+  const state = {
+    taintedCanvases: [],
+    // clone <img> -> rendered sizing, filled when `downsampleImages` is on
+    imageSizing: new WeakMap(),
+    // clone node -> source node, set by prepareClone once the tree is cloned
+    nodeMap: null,
+    // incremental re-capture session, when captured through snapdom.watch()
+    watch: watchSessions.get(options) || null,
+    // timestamp after which pending resource loads give up (`timeout` option);
+    // nested captures (iframes) inherit the deadline of their parent
+    deadline: options.deadline ?? (options.timeout > 0 ? Date.now() + options.timeout : Infinity),
+    // resources, skipped nodes and warnings, returned as `result.report`
+    report: { complete: true, resources: [], skipped: [], warnings: [] },
+  };
+  states.set(options, state);
+  return state;
+}
+
+/**
+ * Returns the state of a capture, or null when called outside a capture.
+ *
+ * @param {Object} options - Options object of the capture
+ * @returns {Object|null} Capture state
+ */
+export function getCaptureState(options) {
+  return (options && states.get(options)) || null;
+}
+
+/**
+ * Merges the state of a nested capture (e.g. an iframe) into its parent.
+ *
+ * @param {Object} parent - Parent capture state
+ * @param {Object} child - Nested capture state
+ */
+export function mergeCaptureState(parent, child) {
+  if (!parent || !child) return;
+  parent.taintedCanvases.push(...child.taintedCanvases);
+  parent.report.resources.push(...child.report.resources);
+  parent.report.skipped.push(...child.report.skipped);
+  parent.report.warnings.push(...child.report.warnings);
+}
+
+/**
+ * Adds a resource entry to a capture report.
+ *
+ * @param {Object|null} report - Report of the capture (`state.report`), or null outside a capture
+ * @param {{url:string, kind:string, status:string, bytes?:number, duration?:number, error?:Error}} entry - Resource entry
+ */
+export function recordResource(report, entry) {
+  if (!report || !entry.url || entry.url.startsWith("data:")) return;
+  report.resources.push({ bytes: 0, duration: 0, ...entry });
+}
+
+/**
+ * Runs a resource load and records its outcome: "ok" with the size of the inlined data,
+ * "timeout" for TimeoutErrors, "failed" otherwise. The load's result or error passes through.
+ *
+ * @param {Object|null} report - Report of the capture
+ * @param {string|null} url - Resource URL; data: URLs and null are not recorded
+ * @param {string} kind - "image", "background", "font" or "css"
+ * @param {Function} load - Async function performing the load
+ * @returns {Promise<*>} The load's result
+ */
+export async function trackResource(report, url, kind, load) {
+  const start = Date.now();
+  try {
+    const value = await load();
+    const bytes = typeof value === "string" ? value.length : 0;
+    recordResource(report, { url, kind, status: "ok", bytes, duration: Date.now() - start });
+    return value;
+  } catch (error) {
+    const status = error?.name === "TimeoutError" ? "timeout" : "failed";
+    recordResource(report, { url, kind, status, duration: Date.now() - start, error });
+    throw error;
+  }
+}
+
+/**
+ * Records a source node left out of the capture.
+ *
+ * @param {Object|null} report - Report of the capture
+ * @param {Node} node - Source node
+ * @param {string} reason - "exclude", "filter", "imageFallback", ...
+ */
+export function recordSkipped(report, node, reason) {
+  report?.skipped.push({ node, reason });
+}
+
+/**
+ * Logs a warning with console.warn and adds it to the capture report.
+ *
+ * @param {Object|null} report - Report of the capture
+ * @param {string} message - Warning message
+ * @param {...*} details - Extra values logged with it; the first Error is kept on the entry
+ */
+export function recordWarning(report, message, ...details) {
+  console.warn(message, ...details);
+  report?.warnings.push({ message, error: details.find((d) => d instanceof Error) });
+}
@@ -0,0 +1,101 @@
+/**
+ * Size-bounded Map with least-recently-used eviction, used for snapDOM's caches.
+ * @module lru
+ */
+
+/**
+ * Rough memory footprint of a cache key or value, in bytes.
+ * Strings count as UTF-16; plain objects count their own string keys and values;
+ * anything else (promises, numbers, DOM objects) counts as 0.
+ *
+ * @param {*} value - Key or value
+ * @returns {number} Estimated bytes
+ */
+export function estimateBytes(value) {
+  if (typeof value === "string") return value.length * 2;
+  if (value && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype) {
+    let bytes = 0;
+    for (const k in value) {
+      bytes += k.length * 2;
+      if (typeof value[k] === "string") bytes += value[k].length * 2;
+    }
+    return bytes;
+  }
+  return 0;
+}
+
+/**
+ * Map with entry and byte limits. `get()` marks an entry as recently used; `set()` evicts
+ * the least recently used entries until both limits hold. `has()` does not touch recency.
+ */
+export class LRUCache extends Map {
+  /**
+   * @param {Object} [limits={}]
+   * @param {number} [limits.maxEntries=Infinity] - Maximum number of entries
+   * @param {number} [limits.maxBytes=Infinity] - Maximum estimated bytes (keys + values)
+   * @param {(key: *, value: *) => void} [limits.onEvict] - Called for each entry evicted to fit the limits
+   */
+  constructor({ maxEntries = Infinity, maxBytes = Infinity, onEvict } = {}) {
+    super();
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.onEvict = onEvict;
+    this.bytes = 0;
+    this._sizes = new Map();
+  }
+
+  get(key) {
+    if (!super.has(key)) return undefined;
+    const value = super.get(key);
+    super.delete(key);
+    super.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    // Map's constructor calls set() before our fields exist
+    if (!this._sizes) return super.set(key, value);
+    this.delete(key);
+    const bytes = estimateBytes(key) + estimateBytes(value);
+    super.set(key, value);
+    this._sizes.set(key, bytes);
+    this.bytes += bytes;
+    this._evict();
+    return this;
+  }
+
+  delete(key) {
+    if (!super.has(key)) return false;
+    this.bytes -= this._sizes.get(key) || 0;
+    this._sizes.delete(key);
+    return super.delete(key);
+  }
+
+  clear() {
+    super.clear();
+    this._sizes.clear();
+    this.bytes = 0;
+  }
+
+  /**
+   * Changes the limits and evicts entries that no longer fit.
+   *
+   * @param {Object} limits
+   * @param {number} [limits.maxEntries] - Maximum number of entries
+   * @param {number} [limits.maxBytes] - Maximum estimated bytes
+   */
+  setLimits({ maxEntries = this.maxEntries, maxBytes = this.maxBytes } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this._evict();
+  }
+
+  _evict() {
+    while (this.size > 0 && (this.size > this.maxEntries || this.bytes > this.maxBytes)) {
+      const key = this.keys().next().value;
+      const value = super.get(key);
+      this.delete(key);
+      this.onEvict?.(key, value);
+    }
+  }
+}
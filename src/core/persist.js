@@ -0,0 +1,146 @@
+/**
+ * Optional persistent layer under the in-memory caches, so inlined images and fonts
+ * survive page reloads. Entries carry a TTL and a version and are read lazily: a
+ * lookup that misses memory checks the store and hydrates the in-memory map.
+ * @module persist
+ */
+
+import { cache } from './cache.js';
+
+const STORE = "entries";
+
+let _config = null;
+let _adapter = null;
+
+function indexedDBAdapter(name) {
+  let dbPromise = null;
+  const open = () => {
+    dbPromise ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(name, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return dbPromise;
+  };
+  const run = async (mode, fn) => {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const req = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  };
+  return {
+    get: (key) => run("readonly", (store) => store.get(key)),
+    set: (key, record) => run("readwrite", (store) => store.put(record, key)),
+    delete: (key) => run("readwrite", (store) => store.delete(key)),
+    clear: () => run("readwrite", (store) => store.clear()),
+  };
+}
+
+function cacheStorageAdapter(name) {
+  // Cache API entries must be http(s) requests; a private path on our origin is enough
+  const toRequest = (key) => `${location.origin}/__snapdom_cache__/${encodeURIComponent(key)}`;
+  return {
+    async get(key) {
+      const res = await (await caches.open(name)).match(toRequest(key));
+      return res ? res.json() : null;
+    },
+    async set(key, record) {
+      const body = JSON.stringify(record);
+      await (await caches.open(name)).put(toRequest(key), new Response(body, { headers: { "content-type": "application/json" } }));
+    },
+    async delete(key) {
+      await (await caches.open(name)).delete(toRequest(key));
+    },
+    async clear() {
+      await caches.delete(name);
+    },
+  };
+}
+
+function createAdapter(storage, name) {
+  if (storage === "indexeddb") return typeof indexedDB !== "undefined" ? indexedDBAdapter(name) : null;
+  if (storage === "cache") return typeof caches !== "undefined" ? cacheStorageAdapter(name) : null;
+  if (storage && typeof storage.get === "function" && typeof storage.set === "function") return storage;
+  return null;
+}
+
+/**
+ * Configures (or disables) the persistent cache.
+ *
+ * @param {Object} [config={}]
+ * @param {"indexeddb"|"cache"|Object|null} [config.storage=null] - Backend: IndexedDB, the Cache API, or a custom `{ get, set, delete?, clear? }` async store. `null` disables persistence
+ * @param {number} [config.ttl=604800000] - Lifetime of an entry in ms (default 7 days)
+ * @param {string} [config.version="1"] - Entries written with another version are ignored
+ * @param {string} [config.name="snapdom-cache"] - Database / cache name
+ */
+export function configurePersistence({ storage = null, ttl = 7 * 24 * 60 * 60 * 1000, version = "1", name = "snapdom-cache" } = {}) {
+  _adapter = createAdapter(storage, name);
+  _config = _adapter ? { ttl, version: String(version) } : null;
+  if (storage && !_adapter) console.warn("[snapdom] Persistent cache storage is not available:", storage);
+}
+
+/**
+ * Whether a persistent cache is configured.
+ *
+ * @returns {boolean} True if entries are persisted
+ */
+export function isPersistent() {
+  return !!_adapter;
+}
+
+/**
+ * Reads a persisted entry and hydrates the matching in-memory map.
+ * Expired entries and entries from another version are dropped.
+ *
+ * @param {"image"|"background"|"resource"} kind - In-memory cache the entry belongs to
+ * @param {string} key - Cache key
+ * @returns {Promise<string|null>} Stored data URL, or null
+ */
+export async function readPersisted(kind, key) {
+  if (!_adapter) return null;
+  const id = `${kind}:${key}`;
+  try {
+    const record = await _adapter.get(id);
+    if (!record) return null;
+    if (record.version !== _config.version || record.expires < Date.now()) {
+      _adapter.delete?.(id)?.catch?.(() => {});
+      return null;
+    }
+    cache[kind].set(key, record.value);
+    return record.value;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Stores an entry in the persistent cache. Never throws; writes happen in the background.
+ *
+ * @param {"image"|"background"|"resource"} kind - In-memory cache the entry belongs to
+ * @param {string} key - Cache key
+ * @param {string} value - Data URL to store
+ */
+export function writePersisted(kind, key, value) {
+  if (!_adapter || typeof value !== "string") return;
+  const record = { value, version: _config.version, expires: Date.now() + _config.ttl };
+  Promise.resolve()
+    .then(() => _adapter.set(`${kind}:${key}`, record))
+    .catch(() => {});
+}
+
+/**
+ * Removes every persisted entry.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearPersisted() {
+  try {
+    await _adapter?.clear?.();
+  } catch {
+    // storage unavailable: nothing to clear
+  }
+}
@@ -4,11 +4,13 @@
  */
 
 import { generateCSSClasses} from '../utils/cssTools.js';
-import { stripTranslate} from '../utils/helpers.js';
+import { stripTranslate, requestResource } from '../utils/helpers.js';
 import { deepClone } from './clone.js';
 import { inlinePseudoElements } from '../modules/pseudo.js';
 import { inlineExternalDefsAndSymbols} from '../modules/svgDefs.js';
-import { cache } from '../core/cache.js';
+import { cache, registerCache } from '../core/cache.js';
+import { LRUCache } from './lru.js';
+import { getCaptureState, recordWarning } from './context.js';
 
 /**
  * Prepares a clone of an element for capture, inlining pseudo-elements and generating CSS classes.
@@ -19,7 +21,9 @@ import { cache } from '../core/cache.js';
  * @param {Object} [options={}] - Capture options
  * @param {string[]} [options.exclude] - CSS selectors for elements to exclude
  * @param {Function} [options.filter] - Custom filter function
- * @returns {Promise<Object>} Object containing the clone, generated CSS, and style cache
+ * @param {string} [options.scrollMode="visible"] - "visible" keeps the scroll window, "full" expands scroll containers
+ * @param {boolean} [options.scrollNested=false] - In "full" mode, also expand nested scroll containers
+ * @returns {Promise<Object>} Object containing the clone, generated CSS, style cache and, in "full" mode, the expanded root size
  */
 
 export async function prepareClone(element, compress = false, embedFonts = false, options = {}) {
@@ -34,7 +38,7 @@ export async function prepareClone(element, compress = false, embedFonts = false
   try {
     inlineExternalDefsAndSymbols(element)
   } catch (e) {
-    console.warn("inlineExternal defs or symbol failed:", e);
+    recordWarning(getCaptureState(options)?.report, "inlineExternal defs or symbol failed:", e);
   }
 
 
@@ -44,12 +48,16 @@ export async function prepareClone(element, compress = false, embedFonts = false
     console.warn("deepClone failed:", e);
     throw e;
   }
+  const state = getCaptureState(options);
+  if (state) state.nodeMap = nodeMap;
+  // Keep the untouched clone so the next watched capture can reuse unchanged subtrees
+  state?.watch?.record(clone, styleMap, nodeMap);
   try {
-    await inlinePseudoElements(element, clone, styleMap, styleCache, compress, embedFonts, options.useProxy);
+    await inlinePseudoElements(element, clone, styleMap, styleCache, compress, embedFonts, options);
   } catch (e) {
-    console.warn("inlinePseudoElements failed:", e);
+    recordWarning(getCaptureState(options)?.report, "inlinePseudoElements failed:", e);
   }
-  await resolveBlobUrlsInTree(clone);
+  await resolveBlobUrlsInTree(clone, options);
   if (compress) {
   const keyToClass = generateCSSClasses(styleMap);
   classCSS = Array.from(keyToClass.entries())
@@ -87,11 +95,25 @@ export async function prepareClone(element, compress = false, embedFonts = false
   }
 }
 
+  const expanded = options.scrollMode === "full"
+    ? measureScrollContainers(element, nodeMap, options.scrollNested)
+    : new Map();
+
   for (const [cloneNode, originalNode] of nodeMap.entries()) {
+    const size = expanded.get(originalNode);
+    if (size && cloneNode.style) {
+      cloneNode.style.boxSizing = "border-box";
+      cloneNode.style.width = `${size.width}px`;
+      cloneNode.style.height = `${size.height}px`;
+      cloneNode.style.maxWidth = "none";
+      cloneNode.style.maxHeight = "none";
+      cloneNode.style.overflow = "visible";
+      continue;
+    }
     const scrollX = originalNode.scrollLeft;
     const scrollY = originalNode.scrollTop;
     const hasScroll = scrollX || scrollY;
-    if (hasScroll && cloneNode instanceof HTMLElement) {
+    if (hasScroll && cloneNode.style) {
       cloneNode.style.overflow = "hidden";
       cloneNode.style.scrollbarWidth = "none";
       cloneNode.style.msOverflowStyle = "none";
@@ -127,7 +149,73 @@ export async function prepareClone(element, compress = false, embedFonts = false
       cloneNode.style.marginBlockStart = "0";
     }
   }
-  return { clone, classCSS, styleCache };
+  return { clone, classCSS, styleCache, size: expanded.get(element) || null };
+}
+
+/**
+ * Measures the full content size of scroll containers for `scrollMode: "full"`.
+ * Nested containers are expanded in the live DOM (deepest first) only for the
+ * duration of the measurement, so parents see their expanded size; their inline
+ * styles and scroll offsets (lost with `overflow: visible`) are restored synchronously
+ * before returning, without a repaint.
+ *
+ * @param {Element} element - Captured root element
+ * @param {Map<Node, Node>} nodeMap - Clone → original node map
+ * @param {boolean} [nested=false] - Whether to expand nested scroll containers too
+ * @returns {Map<Element, {width:number, height:number}>} Border-box size per expanded original node
+ */
+function measureScrollContainers(element, nodeMap, nested = false) {
+  const sizes = new Map();
+  const isScrollable = (el) =>
+    el.scrollHeight > el.clientHeight + 1 || el.scrollWidth > el.clientWidth + 1;
+  const borderBox = (el) => {
+    const cs = getComputedStyle(el);
+    return {
+      width: el.scrollWidth + (parseFloat(cs.borderLeftWidth) || 0) + (parseFloat(cs.borderRightWidth) || 0),
+      height: el.scrollHeight + (parseFloat(cs.borderTopWidth) || 0) + (parseFloat(cs.borderBottomWidth) || 0),
+    };
+  };
+
+  const saved = [];
+  try {
+    if (nested) {
+      const depth = (el) => {
+        let d = 0;
+        for (let n = el; n && n !== element; n = n.parentNode || n.host) d++;
+        return d;
+      };
+      const containers = Array.from(new Set(nodeMap.values()))
+        .filter((el) => el !== element && el.style && isScrollable(el))
+        .filter((el) => {
+          const cs = getComputedStyle(el);
+          return cs.overflowX !== "visible" || cs.overflowY !== "visible";
+        })
+        .sort((a, b) => depth(b) - depth(a));
+
+      for (const el of containers) {
+        const size = borderBox(el);
+        sizes.set(el, size);
+        saved.push([el, el.getAttribute("style"), el.scrollLeft, el.scrollTop]);
+        el.style.boxSizing = "border-box";
+        el.style.width = `${size.width}px`;
+        el.style.height = `${size.height}px`;
+        el.style.maxWidth = "none";
+        el.style.maxHeight = "none";
+        el.style.overflow = "visible";
+      }
+    }
+    if (isScrollable(element) || sizes.size) {
+      sizes.set(element, borderBox(element));
+    }
+  } finally {
+    for (const [el, style, left, top] of saved.reverse()) {
+      if (style === null) el.removeAttribute("style");
+      else el.setAttribute("style", style);
+      el.scrollLeft = left;
+      el.scrollTop = top;
+    }
+  }
+  return sizes;
 }
 
 function stabilizeLayout(element) {
@@ -145,11 +233,11 @@ function stabilizeLayout(element) {
   }
 }
 
-var _blobToDataUrlCache = /* @__PURE__ */ new Map();
+var _blobToDataUrlCache = registerCache("blob", new LRUCache({ maxEntries: 200, maxBytes: 50 * 1024 * 1024 }));
 
-async function blobUrlToDataUrl(blobUrl) {
+async function blobUrlToDataUrl(blobUrl, options = {}) {
   if (_blobToDataUrlCache.has(blobUrl)) return _blobToDataUrlCache.get(blobUrl);
-  const res = await fetch(blobUrl);
+  const res = await requestResource(blobUrl, { kind: "blob", fetch: options.fetch });
   if (!res.ok) throw new Error(`[SnapDOM] HTTP ${res.status} on blob fetch (${blobUrl})`);
   const blob = await res.blob();
   const dataUrl = await new Promise((resolve, reject) => {
@@ -168,14 +256,14 @@ async function blobUrlToDataUrl(blobUrl) {
 
 var BLOB_URL_RE = /\bblob:[^)"'\s]+/g;
 
-async function replaceBlobUrlsInCssText(cssText) {
+async function replaceBlobUrlsInCssText(cssText, options) {
   if (!cssText || cssText.indexOf("blob:") === -1) return cssText;
   const uniques = Array.from(new Set(cssText.match(BLOB_URL_RE) || []));
   if (uniques.length === 0) return cssText;
   let out = cssText;
   for (const u of uniques) {
     try {
-      const d = await blobUrlToDataUrl(u);
+      const d = await blobUrlToDataUrl(u, options);
       out = out.split(u).join(d);
     } catch {}
   }
@@ -204,7 +292,7 @@ function stringifySrcset(parts) {
     .join(", ");
 }
 
-async function resolveBlobUrlsInTree(root) {
+async function resolveBlobUrlsInTree(root, options = {}) {
   if (!root) return;
 
   const imgs = root.querySelectorAll ? root.querySelectorAll("img") : [];
@@ -213,7 +301,7 @@ async function resolveBlobUrlsInTree(root) {
       const srcAttr = img.getAttribute("src");
       const effective = srcAttr || img.currentSrc || "";
       if (isBlobUrl(effective)) {
-        const data = await blobUrlToDataUrl(effective);
+        const data = await blobUrlToDataUrl(effective, options);
         img.setAttribute("src", data);
       }
       const srcset = img.getAttribute("srcset");
@@ -223,7 +311,7 @@ async function resolveBlobUrlsInTree(root) {
         for (const p of parts) {
           if (isBlobUrl(p.url)) {
             try {
-              p.url = await blobUrlToDataUrl(p.url);
+              p.url = await blobUrlToDataUrl(p.url, options);
               changed = true;
             } catch {}
           }
@@ -239,7 +327,7 @@ async function resolveBlobUrlsInTree(root) {
       const XLINK_NS = "http://www.w3.org/1999/xlink";
       const href = node.getAttribute("href") || node.getAttributeNS?.(XLINK_NS, "href");
       if (isBlobUrl(href)) {
-        const d = await blobUrlToDataUrl(href);
+        const d = await blobUrlToDataUrl(href, options);
         node.setAttribute("href", d);
         node.removeAttributeNS?.(XLINK_NS, "href");
       }
@@ -251,7 +339,7 @@ async function resolveBlobUrlsInTree(root) {
     try {
       const styleText = el.getAttribute("style");
       if (styleText && styleText.includes("blob:")) {
-        const replaced = await replaceBlobUrlsInCssText(styleText);
+        const replaced = await replaceBlobUrlsInCssText(styleText, options);
         el.setAttribute("style", replaced);
       }
     } catch {}
@@ -262,7 +350,7 @@ async function resolveBlobUrlsInTree(root) {
     try {
       const css = s.textContent || "";
       if (css.includes("blob:")) {
-        s.textContent = await replaceBlobUrlsInCssText(css);
+        s.textContent = await replaceBlobUrlsInCssText(css, options);
       }
     } catch {}
   }
@@ -274,7 +362,7 @@ async function resolveBlobUrlsInTree(root) {
       try {
         const u = n.getAttribute(attr);
         if (isBlobUrl(u)) {
-          n.setAttribute(attr, await blobUrlToDataUrl(u));
+          n.setAttribute(attr, await blobUrlToDataUrl(u, options));
         }
       } catch {}
     }
@@ -0,0 +1,185 @@
+/**
+ * Incremental re-capture: keeps the clone of the previous capture and, through a
+ * MutationObserver, re-clones only the subtrees that changed since then.
+ * @module watch
+ */
+
+import { getImageSizing } from '../modules/images.js';
+import { getCaptureState } from './context.js';
+
+// Content that can change without a DOM mutation: always re-cloned
+const VOLATILE_TAGS = new Set(["CANVAS", "VIDEO", "IFRAME", "INPUT", "TEXTAREA", "SELECT"]);
+
+function isVolatile(source) {
+  // Shadow trees are not observed from the light DOM
+  return VOLATILE_TAGS.has(source.tagName) || !!source.shadowRoot;
+}
+
+function parentOf(node) {
+  return node.parentNode instanceof ShadowRoot ? node.parentNode.host : node.parentNode;
+}
+
+/**
+ * Creates a watch session for an element.
+ *
+ * The session keeps, per source element, a pristine copy of its cloned subtree (as
+ * produced by deepClone, before pseudo-elements, images and classes are applied) and
+ * the style snapshots of the previous capture. Mutations invalidate:
+ * - attributes: the element's subtree (styles can cascade)
+ * - childList / characterData: the subtree of the element (or text parent), since structural
+ *   selectors (:first-child, :nth-child, + / ~, :empty, :has) can restyle any of its children
+ * and in both cases the subtrees of the element's later siblings (+ / ~ combinators) and
+ * the copies and snapshots of its ancestors (:has).
+ *
+ * @param {Element} root - Watched element
+ * @returns {Object} Session used by captureDOM, deepClone and prepareClone
+ */
+export function createWatchSession(root) {
+  let pristine = new WeakMap(); // source element -> pristine clone subtree
+  let info = new WeakMap();     // pristine element -> { source, key }
+  let snapshots = new WeakMap(); // source element -> style snapshot, kept between captures
+  let pending = [];
+
+  const observer = new MutationObserver((records) => pending.push(...records));
+  observer.observe(root, { subtree: true, childList: true, attributes: true, attributeOldValue: true, characterData: true });
+
+  const dropAncestors = (node) => {
+    for (let n = node; n && n !== root.parentNode; n = parentOf(n)) {
+      pristine.delete(n);
+      snapshots.delete(n);
+    }
+  };
+
+  const dropSubtree = (el) => {
+    for (const n of [el, ...el.querySelectorAll("*")]) {
+      pristine.delete(n);
+      snapshots.delete(n);
+    }
+  };
+
+  // The element, the siblings after it and its ancestors can all be styled through it
+  const dropAffected = (el) => {
+    dropSubtree(el);
+    if (el !== root) {
+      for (let n = el.nextElementSibling; n; n = n.nextElementSibling) dropSubtree(n);
+    }
+    dropAncestors(el);
+  };
+
+  const applyContentChange = (target) => {
+    const el = target.nodeType === Node.ELEMENT_NODE ? target : parentOf(target);
+    if (!el || el.nodeType !== Node.ELEMENT_NODE) return;
+    dropAffected(el);
+  };
+
+  return {
+    /**
+     * Style snapshots of the previous capture, per source element. Read by inlineAllStyles
+     * through the capture state, instead of the snapshots of a single capture.
+     */
+    get snapshots() {
+      return snapshots;
+    },
+
+    /** Applies pending mutations, invalidating the clones and snapshots they affect. */
+    begin() {
+      const records = [...pending, ...observer.takeRecords()];
+      pending = [];
+      // Attribute value before the first change, per element and attribute
+      const before = new Map();
+      for (const record of records) {
+        if (record.type !== "attributes") {
+          applyContentChange(record.target);
+          continue;
+        }
+        const attrs = before.get(record.target) || new Map();
+        if (!attrs.has(record.attributeName)) attrs.set(record.attributeName, record.oldValue);
+        before.set(record.target, attrs);
+      }
+      for (const [el, attrs] of before) {
+        // Values set and restored in between (e.g. by scroll measurement) are not a change
+        const changed = [...attrs].some(([name, oldValue]) => el.getAttribute(name) !== oldValue);
+        if (!changed) continue;
+        dropAffected(el);
+      }
+    },
+
+    /**
+     * Returns a fresh copy of the pristine clone of `source` when its subtree is unchanged,
+     * registering the copied nodes in styleMap / nodeMap like deepClone would.
+     *
+     * @param {Element} source - Source element
+     * @param {Map} styleMap - Clone → style key
+     * @param {Map} nodeMap - Clone → source
+     * @param {Object} options - Capture options
+     * @returns {Node|null} Reused clone, or null
+     */
+    reuse(source, styleMap, nodeMap, options) {
+      const kept = pristine.get(source);
+      if (!kept) return null;
+      const copy = kept.cloneNode(true);
+      const sizing = options.downsampleImages ? getCaptureState(options)?.imageSizing : null;
+      const walk = (from, to) => {
+        const meta = info.get(from);
+        if (meta) {
+          nodeMap.set(to, meta.source);
+          if (meta.key !== undefined) styleMap.set(to, meta.key);
+          if (sizing && to.tagName === "IMG") sizing.set(to, getImageSizing(meta.source));
+        }
+        for (let i = 0; i < from.childNodes.length; i++) walk(from.childNodes[i], to.childNodes[i]);
+      };
+      walk(kept, copy);
+      return copy;
+    },
+
+    /**
+     * Keeps a pristine copy of a freshly built clone for the next capture.
+     *
+     * @param {Node} clone - Clone returned by deepClone
+     * @param {Map} styleMap - Clone → style key
+     * @param {Map} nodeMap - Clone → source
+     */
+    record(clone, styleMap, nodeMap) {
+      const copy = clone.cloneNode(true);
+      // Returns whether the subtree can be reused as a whole next time
+      const walk = (from, to) => {
+        let stable = true;
+        for (let i = 0; i < from.childNodes.length; i++) {
+          stable = walk(from.childNodes[i], to.childNodes[i]) && stable;
+        }
+        if (from.nodeType !== Node.ELEMENT_NODE) return stable;
+        const source = nodeMap.get(from);
+        if (!source) return stable;
+        info.set(to, { source, key: styleMap.get(from) });
+        if (isVolatile(source)) return false;
+        if (stable) pristine.set(source, to);
+        else pristine.delete(source);
+        return stable;
+      };
+      walk(clone, copy);
+    },
+
+    /**
+     * Forgets kept clones and snapshots, for `node`'s subtree or everything.
+     * Use it after changes a MutationObserver can't see (stylesheets, media queries, :hover).
+     *
+     * @param {Element} [node] - Subtree to invalidate
+     */
+    invalidate(node) {
+      if (node) {
+        dropSubtree(node);
+        dropAncestors(node);
+        return;
+      }
+      pristine = new WeakMap();
+      info = new WeakMap();
+      snapshots = new WeakMap();
+    },
+
+    /** Stops observing. */
+    disconnect() {
+      observer.disconnect();
+      pending = [];
+    },
+  };
+}
@@ -6,8 +6,10 @@
 
 import { snapdom } from './api/snapdom.js';
 import { preCache } from './api/preCache.js';
+import { ClipboardError } from './utils/errors.js';
 
 if (typeof window !== 'undefined') {
   window.snapdom = snapdom;
   window.preCache = preCache;
+  window.ClipboardError = ClipboardError;
 }
\ No newline at end of file
@@ -6,4 +6,5 @@
 
 export { snapdom } from './api/snapdom.js';
 export { preCache } from './api/preCache.js';
+export { ClipboardError } from './utils/errors.js';
 
@@ -3,8 +3,10 @@
  * @module background
  */
 
-import { getStyle, inlineSingleBackgroundEntry, splitBackgroundImage } from '../utils/helpers.js';
+import { getStyle, inlineSingleBackgroundEntry, splitBackgroundImage, getBackgroundSizing, getOutputRatio, getLoadPolicy, throwIfAborted, extractURL } from '../utils/helpers.js';
+import { getCaptureState, trackResource, recordWarning } from '../core/context.js';
 import { cache } from '../core/cache.js'
+import { resolveImageFallback } from './images.js';
 /**
  * Recursively inlines background-related images and masks from the source element to its clone.
  * 
@@ -21,10 +23,15 @@ import { cache } from '../core/cache.js'
  * @param {HTMLElement} source The original source element from which styles are read.
  * @param {HTMLElement} clone The cloned element to which inline styles are applied.
  * @param {Object} [options={}] Optional parameters passed to image inlining functions.
+ * @param {AbortSignal} [options.signal] Checked before each element.
  * @returns {Promise<void>} Resolves when all inlining operations (including async image fetches) complete.
+ * @throws {DOMException} AbortError if the signal is aborted.
  */
 export async function inlineBackgroundImages(source, clone, styleCache, options = {}) {
   const queue = [[source, clone]];
+  const ratio = getOutputRatio(options);
+  const { deadline } = getLoadPolicy(options);
+  const report = getCaptureState(options)?.report;
 
   const imageProps = [
     "background-image",
@@ -42,6 +49,7 @@ export async function inlineBackgroundImages(source, clone, styleCache, options
   ];
 
   while (queue.length) {
+    throwIfAborted(options.signal);
     const [srcNode, cloneNode] = queue.shift();
 
     // Retrieve cached or computed style for source node
@@ -70,11 +78,25 @@ export async function inlineBackgroundImages(source, clone, styleCache, options
       // Split multiple background images (e.g., comma-separated) for inlining each separately
       const splits = splitBackgroundImage(val);
 
+      // With downsampleImages, each background layer is resampled to its background-size
+      const sizes = options.downsampleImages && prop === "background-image"
+        ? splitBackgroundImage(style.getPropertyValue("background-size") || "auto")
+        : null;
+      const entryOptions = (i) => sizes
+        ? { ...options, deadline, resample: { ...getBackgroundSizing(sizes[i % sizes.length], srcNode.clientWidth, srcNode.clientHeight), ratio } }
+        : options;
+
       try {
 
         // Inline each background image entry asynchronously (e.g., fetch and embed as data URI)
         const inlined = await Promise.all(
-          splits.map(entry => inlineSingleBackgroundEntry(entry, options))
+          splits.map((entry, i) => trackResource(report, extractURL(entry), "background", () => inlineSingleBackgroundEntry(entry, entryOptions(i))).catch(async (error) => {
+            const custom = await resolveImageFallback(options.imageFallback, srcNode, error, report);
+            if (custom?.keep) return entry;
+            if (custom?.remove) return "none";
+            if (custom?.src) return `url("${custom.src}")`;
+            throw error;
+          }))
         );
   
         // If any inlined entry is valid, set the joined inline style on the clone
@@ -82,6 +104,7 @@ export async function inlineBackgroundImages(source, clone, styleCache, options
           cloneNode.style.setProperty(prop, inlined.join(", "));
         }
       } catch (e) {
+        recordWarning(report, `[snapdom] Failed to inline ${prop} for`, srcNode, e);
       }
     }
 
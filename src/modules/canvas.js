@@ -0,0 +1,94 @@
+/**
+ * Utilities for reading <canvas> pixels during cloning, including WebGL canvases
+ * created without `preserveDrawingBuffer`.
+ * @module canvas
+ */
+
+import { registerCache } from '../core/cache.js';
+import { LRUCache } from '../core/lru.js';
+
+const canvasRenderers = new WeakMap();
+const blankCache = registerCache("blankCanvas", new LRUCache({ maxEntries: 20 }));
+
+/**
+ * Opts a canvas in to a "render now" callback. snapDOM calls it right before
+ * reading the canvas, so WebGL content is still in the drawing buffer.
+ * Without a callback, a blank read of the canvas is retried inside the next
+ * animation frame, right after the app has drawn.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to register
+ * @param {(canvas: HTMLCanvasElement) => void|Promise<void>} [render] - Draws the current frame synchronously (or resolves right after drawing)
+ */
+export function registerCanvas(canvas, render) {
+  if (!canvas) return;
+  canvasRenderers.set(canvas, typeof render === "function" ? render : null);
+}
+
+/**
+ * Removes a canvas from the render registry.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to unregister
+ */
+export function unregisterCanvas(canvas) {
+  canvasRenderers.delete(canvas);
+}
+
+function isBlank(canvas, dataURL) {
+  const key = `${canvas.width}x${canvas.height}`;
+  if (!blankCache.has(key)) {
+    const empty = document.createElement("canvas");
+    empty.width = canvas.width;
+    empty.height = canvas.height;
+    blankCache.set(key, empty.toDataURL());
+  }
+  return blankCache.get(key) === dataURL;
+}
+
+function nextFrame(read, timeout = 100) {
+  return new Promise((resolve) => {
+    let done = false;
+    const finish = () => {
+      if (done) return;
+      done = true;
+      resolve(read());
+    };
+    // rAF callbacks run after the app's own frame callbacks, before the buffer is cleared
+    requestAnimationFrame(finish);
+    // Hidden tabs never fire rAF
+    setTimeout(finish, timeout);
+  });
+}
+
+/**
+ * Reads a canvas as a data URL.
+ *
+ * Resolution order:
+ * 1. `options.onCanvas(canvas)`, if it returns a non-empty string
+ * 2. The callback registered with `registerCanvas()`, followed by an immediate read
+ * 3. `canvas.toDataURL()`; when that comes back blank from a canvas registered without
+ *    callback, it is read again inside the next animation frame
+ *
+ * Page canvases are never probed with `getContext()`: that would attach a context to a
+ * canvas that has none yet, and the app could no longer get the one it asks for.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to read
+ * @param {Object} [options={}] - Capture options
+ * @param {Function} [options.onCanvas] - `(canvas) => dataURL | Promise<dataURL>` resolver
+ * @returns {Promise<string>} PNG data URL
+ */
+export async function canvasToDataURL(canvas, options = {}) {
+  if (typeof options.onCanvas === "function") {
+    const result = await options.onCanvas(canvas);
+    if (typeof result === "string" && result) return result;
+  }
+
+  const render = canvasRenderers.get(canvas);
+  if (render) {
+    await render(canvas);
+    return canvas.toDataURL();
+  }
+
+  const dataURL = canvas.toDataURL();
+  if (!canvasRenderers.has(canvas) || !canvas.width || !canvas.height || !isBlank(canvas, dataURL)) return dataURL;
+  return nextFrame(() => canvas.toDataURL());
+}
@@ -3,9 +3,13 @@
  * @module fonts
  */
 
-import { extractURL, fetchResource } from "../utils/helpers"
+import { fetchResource, withTimeout, getStyle } from "../utils/helpers"
 import { cache } from "../core/cache"
+import { readPersisted, writePersisted } from "../core/persist.js";
+import { trackResource, recordWarning } from "../core/context.js";
 import { isIconFont } from '../modules/iconFonts.js';
+import { subsetFont } from "../utils/fontSubset.js";
+import { dataURLToBytes } from "../utils/pdf.js";
 
 /**
  * Converts a unicode character from an icon font into a data URL image.
@@ -65,143 +69,542 @@ export async function iconToImage(unicodeChar, fontFamily, fontWeight, fontSize
 }
 
 
-function isStylesheetLoaded(href) {
-  return Array.from(document.styleSheets).some(sheet => sheet.href === href);
+// @import url("a.css") ... ; or @import "a.css" ... ; the rest holds layer(), supports() and media
+const IMPORT_REGEX = /@import\s+(?:url\(\s*(["']?)([^"')]+)\1\s*\)|(["'])([^"']+)\3)([^;]*);/g;
+const SUPPORTS_REGEX = /supports\(((?:[^()]|\([^()]*\))*)\)/i;
+
+/**
+ * Parses the @import rules of a stylesheet.
+ *
+ * @param {string} cssText - Stylesheet text
+ * @param {string} base - URL relative imports resolve against
+ * @returns {Array<{url:string, supports:string|null, media:string}>} Imports in order
+ */
+function parseImports(cssText, base) {
+  const imports = [];
+  for (const match of cssText.replace(/\/\*[\s\S]*?\*\//g, "").matchAll(IMPORT_REGEX)) {
+    const conditions = match[5];
+    const media = conditions.replace(SUPPORTS_REGEX, "").replace(/\blayer(\([^)]*\))?/i, "").trim();
+    try {
+      imports.push({ url: new URL(match[2] ?? match[4], base).href, supports: conditions.match(SUPPORTS_REGEX)?.[1] ?? null, media });
+    } catch {}
+  }
+  return imports;
+}
+
+// Layers don't scope @font-face, so only supports() and media conditions can leave an import out
+function importApplies({ supports, media }) {
+  try {
+    if (supports && typeof CSS !== "undefined" && CSS.supports && !CSS.supports(`(${supports})`)) return false;
+    if (media && typeof matchMedia === "function" && !matchMedia(media).matches) return false;
+  } catch {}
+  return true;
 }
 
-function injectLinkIfMissing(href) {
+/**
+ * Returns the open shadow roots inside an element, nested ones included.
+ *
+ * @param {Element|Document} [root] - Captured element
+ * @returns {ShadowRoot[]} Shadow roots
+ */
+function collectShadowRoots(root) {
+  const roots = [];
+  const visit = (node) => {
+    if (node.shadowRoot) {
+      roots.push(node.shadowRoot);
+      for (const el of node.shadowRoot.querySelectorAll("*")) visit(el);
+    }
+  };
+  if (root?.querySelectorAll) {
+    for (const el of [root, ...root.querySelectorAll("*")]) visit(el);
+  }
+  return roots;
+}
+
+/**
+ * Fetches a font file as a data URL, going through the persistent cache when configured.
+ *
+ * @param {string} url - Font URL
+ * @param {Object} options - useProxy, fetch and load policy options (see fetchResource)
+ * @returns {Promise<string>} Data URL
+ */
+async function fetchFontAsDataURL(url, options) {
+  const stored = await readPersisted("resource", url);
+  if (stored) return stored;
+  const res = await fetchResource(url, options);
+  const blob = await withTimeout(res.blob(), (options.deadline ?? Infinity) - Date.now());
+  const b64 = await blobToDataURL(blob);
+  writePersisted("resource", url, b64);
+  return b64;
+}
+
+function blobToDataURL(blob) {
   return new Promise((resolve) => {
-    if (isStylesheetLoaded(href)) return resolve(null);
-    const link = document.createElement("link");
-    link.rel = "stylesheet";
-    link.href = href;
-    link.setAttribute("data-snapdom", "injected-import");
-    link.onload = () => resolve(link);
-    link.onerror = () => resolve(null);
-    document.head.appendChild(link);
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsDataURL(blob);
   });
 }
 
+/**
+ * Subsets an inlined font to the glyphs of `codePoints` (see fontSubset.js). Fonts that
+ * can't be subset (WOFF2, collections, unreadable files) are returned whole.
+ *
+ * @param {string} dataURL - Font file as a base64 data URL
+ * @param {Set<number>} codePoints - Code points of the captured text
+ * @param {Object} [report] - Capture report receiving a warning when subsetting fails
+ * @returns {Promise<string>} Data URL of the subset font, or the original one
+ */
+async function subsetFontDataURL(dataURL, codePoints, report) {
+  if (!/^data:[^,]*;base64,/.test(dataURL)) return dataURL;
+  try {
+    const subset = await subsetFont(dataURLToBytes(dataURL), codePoints);
+    return subset ? await blobToDataURL(subset) : dataURL;
+  } catch (e) {
+    recordWarning(report, "[snapdom] Failed to subset font, embedding it whole:", e);
+    return dataURL;
+  }
+}
+
+// Generic and keyword families never match an @font-face
+const GENERIC_FAMILIES = new Set([
+  "serif", "sans-serif", "monospace", "cursive", "fantasy", "system-ui", "math", "emoji", "fangsong",
+  "ui-serif", "ui-sans-serif", "ui-monospace", "ui-rounded", "inherit", "initial", "unset",
+]);
+
+// Elements whose rendered text is not a text node child
+const TEXT_CONTROLS = new Set(["INPUT", "TEXTAREA", "SELECT", "BUTTON"]);
+
+function normalizeFamily(family) {
+  return String(family || "").trim().replace(/^['"]+|['"]+$/g, "").trim().toLowerCase();
+}
+
+/**
+ * Parses a font-weight value, or the range of an @font-face `font-weight` descriptor.
+ *
+ * @param {string|number} value - e.g. "bold", "400", "100 900"
+ * @returns {number[]} [min, max]
+ */
+function parseFontWeight(value) {
+  const weights = String(value || "normal").trim().split(/\s+/).map((v) => {
+    if (v === "normal") return 400;
+    if (v === "bold") return 700;
+    return parseFloat(v);
+  }).filter((v) => Number.isFinite(v));
+  if (!weights.length) return [400, 400];
+  return [Math.min(...weights), Math.max(...weights)];
+}
+
+function getStyleClass(value) {
+  const style = String(value || "normal").trim().toLowerCase();
+  if (style.startsWith("italic")) return "italic";
+  if (style.startsWith("oblique")) return "oblique";
+  return "normal";
+}
+
+// Characters rendered without being in the text: ellipsis, list markers, quotes
+const ELLIPSIS = "\u2026";
+const LIST_MARKERS = "0123456789.\u2022\u25e6\u25aa";
+const QUOTES = "\"'\u201c\u201d\u2018\u2019\u00ab\u00bb";
+
+function unescapeCss(text) {
+  return text.replace(/\\([0-9a-f]{1,6})\s?|\\(.)/gi, (_, hex, char) => {
+    if (!hex) return char;
+    const cp = parseInt(hex, 16);
+    return cp <= 0x10ffff ? String.fromCodePoint(cp) : "";
+  });
+}
+
+/**
+ * Text generated by a `content` value: strings, attr() values, and the characters
+ * counters and quotes may render.
+ *
+ * @param {string} content - Computed `content` value
+ * @param {Element} el - Element owning the pseudo-element
+ * @returns {string} Generated text
+ */
+function getContentText(content, el) {
+  let text = "";
+  const parts = /"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|attr\(\s*([\w-]+)[^)]*\)|(counters?)\(|((?:no-)?(?:open|close)-quote)/g;
+  for (const [, double, single, attr, counter, quote] of content.matchAll(parts)) {
+    if (attr) text += el.getAttribute(attr) || "";
+    else if (counter) text += LIST_MARKERS;
+    else if (quote) text += QUOTES;
+    else text += unescapeCss(double ?? single);
+  }
+  return text;
+}
+
+function getControlText(el) {
+  if (el.tagName === "SELECT") return el.selectedOptions?.[0]?.text || "";
+  if (el.tagName === "BUTTON") return "";
+  return el.value || el.placeholder || "";
+}
+
+/**
+ * Parses a `unicode-range` descriptor.
+ *
+ * @param {string} [value] - e.g. "U+0000-00FF, U+0131, U+4??"
+ * @returns {number[][]} Sorted [start, end] code point ranges; all of Unicode when empty
+ */
+function parseUnicodeRange(value) {
+  const ranges = [];
+  for (const part of String(value || "").split(",")) {
+    const match = part.trim().match(/^u\+([0-9a-f?]{1,6})(?:-([0-9a-f]{1,6}))?$/i);
+    if (!match) continue;
+    const [, start, end] = match;
+    if (start.includes("?")) ranges.push([parseInt(start.replace(/\?/g, "0"), 16), parseInt(start.replace(/\?/g, "f"), 16)]);
+    else ranges.push([parseInt(start, 16), parseInt(end ?? start, 16)]);
+  }
+  return ranges.length ? ranges.sort((a, b) => a[0] - b[0]) : [[0, 0x10ffff]];
+}
+
+function serializeUnicodeRange(ranges) {
+  return ranges.map(([start, end]) => (start === end ? start.toString(16) : `${start.toString(16)}-${end.toString(16)}`)).join(",");
+}
+
+// Whether a range list covers any of the (sorted) code points
+function intersectsRanges(ranges, sortedCodePoints) {
+  return ranges.some(([start, end]) => {
+    let lo = 0;
+    let hi = sortedCodePoints.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (sortedCodePoints[mid] < start) lo = mid + 1;
+      else hi = mid;
+    }
+    return lo < sortedCodePoints.length && sortedCodePoints[lo] <= end;
+  });
+}
+
+/**
+ * Key identifying a face across @font-face rules and `document.fonts`, which serialize
+ * descriptors differently ("bold" / "700", "100 900" ranges, unicode-range spelling).
+ *
+ * @param {string} family - Font family
+ * @param {string} weight - font-weight descriptor
+ * @param {string} style - font-style descriptor
+ * @param {string} [unicodeRange] - unicode-range descriptor
+ * @returns {string} Normalized key
+ */
+function getFaceKey(family, weight, style, unicodeRange) {
+  return `${normalizeFamily(family)}__${parseFontWeight(weight).join("-")}__${getStyleClass(style)}__${serializeUnicodeRange(parseUnicodeRange(unicodeRange))}`;
+}
+
+function hasOwnText(el) {
+  for (const node of el.childNodes) {
+    if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) return true;
+  }
+  return false;
+}
+
+/**
+ * Collects the fonts the captured text is rendered with: text nodes, form controls and
+ * ::before/::after content, in light DOM and open shadow roots. Every family of a
+ * font-family list counts, since fallbacks may render missing glyphs.
+ *
+ * With `codePoints`, the code points of that text are collected too (for unicode-range
+ * matching and `subsetFonts`), including the case variants of text-transform and the characters of list markers and
+ * ellipses.
+ *
+ * @param {Element} root - Captured element
+ * @param {Set<number>} [codePoints] - Set receiving the code points of the captured text
+ * @returns {Map<string, Set<string>>} Lowercase family → "weight|style" descriptors
+ */
+export function collectUsedFonts(root, codePoints = null) {
+  const used = new Map();
+  const addText = (text, style) => {
+    if (!codePoints || !text) return;
+    if (style.textTransform && style.textTransform !== "none") text += text.toUpperCase() + text.toLowerCase();
+    if (style.textOverflow === "ellipsis") text += ELLIPSIS;
+    for (const char of text) codePoints.add(char.codePointAt(0));
+  };
+  const add = (style) => {
+    const descriptor = `${parseFontWeight(style.fontWeight)[0]}|${getStyleClass(style.fontStyle)}`;
+    for (const raw of (style.fontFamily || "").split(",")) {
+      const family = normalizeFamily(raw);
+      if (!family || GENERIC_FAMILIES.has(family)) continue;
+      if (!used.has(family)) used.set(family, new Set());
+      used.get(family).add(descriptor);
+    }
+  };
+  const visit = (el) => {
+    if (TEXT_CONTROLS.has(el.tagName) || hasOwnText(el)) {
+      const style = getStyle(el);
+      add(style);
+      if (codePoints) {
+        let text = TEXT_CONTROLS.has(el.tagName) ? getControlText(el) : "";
+        for (const node of el.childNodes) {
+          if (node.nodeType === Node.TEXT_NODE) text += node.textContent;
+        }
+        if (style.display === "list-item") text += LIST_MARKERS;
+        addText(text, style);
+      }
+    }
+    for (const pseudo of ["::before", "::after"]) {
+      const style = getStyle(el, pseudo);
+      if (style?.content && style.content !== "none" && style.content !== "normal") {
+        add(style);
+        addText(getContentText(style.content, el), style);
+      }
+    }
+    for (const child of el.children) visit(child);
+    if (el.shadowRoot) for (const child of el.shadowRoot.children) visit(child);
+  };
+  if (root?.nodeType === Node.ELEMENT_NODE) visit(root);
+  return used;
+}
+
+function serializeUsedFonts(used) {
+  return [...used.keys()].sort().map((family) => `${family}:${[...used.get(family)].sort().join(",")}`).join(";");
+}
+
+// Short cache key for a set of code points: its size and a FNV-1a hash
+function hashCodePoints(codePoints) {
+  let hash = 0x811c9dc5;
+  for (const cp of [...codePoints].sort((a, b) => a - b)) {
+    hash = Math.imul(hash ^ cp, 0x01000193) >>> 0;
+  }
+  return `${codePoints.size}:${hash.toString(36)}`;
+}
+
+/**
+ * Picks the faces the browser would render a weight/style with, following the CSS font
+ * matching order: style first (italic → oblique → normal, and the reverse for normal),
+ * then the nearest weight. All faces sharing the chosen descriptors are returned, as
+ * providers split families into several faces.
+ *
+ * @param {Object[]} faces - Faces of one family, with parsed `weights` and `styleClass`
+ * @param {number} weight - Used weight
+ * @param {string} styleClass - Used style: "normal", "italic" or "oblique"
+ * @returns {Object[]} Matching faces
+ */
+function matchFaces(faces, weight, styleClass) {
+  const styleOrder = {
+    italic: ["italic", "oblique", "normal"],
+    oblique: ["oblique", "italic", "normal"],
+    normal: ["normal", "oblique", "italic"],
+  }[styleClass];
+  for (const candidate of styleOrder) {
+    const group = faces.filter((f) => f.styleClass === candidate);
+    if (!group.length) continue;
+    const [min, max] = pickWeight(group.map((f) => f.weights), weight);
+    return group.filter((f) => f.weights[0] === min && f.weights[1] === max);
+  }
+  return [];
+}
+
+function pickWeight(ranges, weight) {
+  const exact = ranges.find(([min, max]) => min <= weight && weight <= max);
+  if (exact) return exact;
+  const below = ranges.filter(([, max]) => max < weight).sort((a, b) => b[1] - a[1]);
+  const above = ranges.filter(([min]) => min > weight).sort((a, b) => a[0] - b[0]);
+  if (weight >= 400 && weight <= 500) {
+    const near = above.find(([min]) => min <= 500);
+    return near || below[0] || above[0];
+  }
+  return weight < 400 ? below[0] || above[0] : above[0] || below[0];
+}
+
+function selectUsedFaces(faces, used) {
+  const byFamily = new Map();
+  for (const face of faces) {
+    const family = normalizeFamily(face.family);
+    if (!byFamily.has(family)) byFamily.set(family, []);
+    byFamily.get(family).push({ source: face, weights: parseFontWeight(face.weight), styleClass: getStyleClass(face.style) });
+  }
+  const selected = new Set();
+  for (const [family, descriptors] of used) {
+    const group = byFamily.get(family);
+    if (!group) continue;
+    for (const descriptor of descriptors) {
+      const [weight, styleClass] = descriptor.split("|");
+      for (const face of matchFaces(group, Number(weight), styleClass)) selected.add(face.source);
+    }
+  }
+  return faces.filter((face) => selected.has(face));
+}
+
 /**
  * Embeds custom fonts found in the document as data URLs in CSS.
  *
+ * Faces are gathered from linked stylesheets, <style> tags, adopted stylesheets and
+ * `document.fonts`, in the document and in the open shadow roots inside `root`. The
+ * @import graph of linked stylesheets and <style> tags is fetched and resolved in memory,
+ * following media and supports() conditions; the document is not modified.
+ * With `usedFonts` (see collectUsedFonts), only the faces matching the used families,
+ * weights and styles are embedded, and the result is cached per used set. With
+ * `codePoints`, faces whose `unicode-range` covers none of them are left out, and
+ * `subsetFonts` reduces each embedded font to their glyphs.
+ *
  * @export
  * @param {Object} options
  * @param {boolean} [options.preCached=false] - Whether to use pre-cached resources
- * @param {Object} [options.localFonts=[]] - Additional local fonts to embed
- * @param {string} [options.useProxy=''] - Optional proxy for font fetching
+ * @param {Object} [options.localFonts=[]] - Additional local fonts to embed (always embedded)
+ * @param {Map<string, Set<string>>} [options.usedFonts] - Used fonts of the capture; all loaded faces when omitted
+ * @param {Element|Document} [options.root] - Captured element, whose shadow roots' stylesheets are read too
+ * @param {Set<number>} [options.codePoints] - Code points of the captured text; faces of any unicode-range when omitted
+ * @param {boolean} [options.subsetFonts=false] - Subset the embedded fonts to `codePoints`
+ * @param {string|Function|Object} [options.useProxy=''] - Optional proxy for font and stylesheet fetching
+ * @param {Function} [options.fetch] - Custom fetcher used for CSS and font files
+ * @param {number} [options.timeout] - Timeout per request, in ms
+ * @param {number} [options.retries] - Retries of failed requests
+ * @param {number} [options.retryDelay] - Delay before the first retry, in ms
+ * @param {number} [options.deadline] - Capture deadline; fonts still loading then are skipped
+ * @param {Object} [options.report] - Capture report receiving the loaded resources and warnings
  * @returns {Promise<string>} The inlined CSS for custom fonts
  */
-export async function embedCustomFonts({ preCached = false, localFonts = [], useProxy = '' } = {}) {
-  if (cache.resource.has("fonts-embed-css")) {
+export async function embedCustomFonts({ preCached = false, localFonts = [], usedFonts = null, root = null, codePoints = null, subsetFonts = false, useProxy = '', fetch: fetchFn, timeout, retries, retryDelay, deadline, report = null } = {}) {
+  let cacheKey = usedFonts ? `fonts-embed-css::${serializeUsedFonts(usedFonts)}` : "fonts-embed-css";
+  if (codePoints) cacheKey += `::chars:${hashCodePoints(codePoints)}${subsetFonts ? "::subset" : ""}`;
+  if (cache.resource.has(cacheKey)) {
     if (preCached) {
       const style = document.createElement("style");
       style.setAttribute("data-snapdom", "embedFonts");
-      style.textContent = cache.resource.get("fonts-embed-css");
+      style.textContent = cache.resource.get(cacheKey);
       document.head.appendChild(style);
     }
-    return cache.resource.get("fonts-embed-css");
+    return cache.resource.get(cacheKey);
   }
 
+  const fetchOptions = { useProxy, fetch: fetchFn, timeout, retries, retryDelay, deadline };
+  const loadFont = (url) => trackResource(report, url, "font", () => fetchFontAsDataURL(url, fetchOptions));
+  // Whole fonts are cached; subsets only live in the CSS cached for their code points
+  const subset = (b64) => (subsetFonts && codePoints ? subsetFontDataURL(b64, codePoints, report) : b64);
+  // CSS missing a font that failed (or ran out of time) is not cached for later captures
+  let complete = true;
+
+  // Data URL of a font file, or null to keep the original URL. A font evicted from the
+  // resource cache since an earlier capture is fetched again
+  const inlineFontUrl = async (url) => {
+    if (cache.resource.has(url)) {
+      cache.font.add(url);
+      return cache.resource.get(url);
+    }
+    try {
+      const b64 = await loadFont(url);
+      cache.resource.set(url, b64);
+      cache.font.add(url);
+      return b64;
+    } catch (e) {
+      recordWarning(report, "[snapdom] Failed to fetch font:", url);
+      complete = false;
+      return null;
+    }
+  };
+
+  // Replaces the url() references of a src descriptor (or a whole @font-face block) with data URLs
+  const inlineSrc = async (src, base) => {
+    let inlined = src;
+    for (const match of Array.from(src.matchAll(/url\((["']?)([^"')]+)\1\)/g))) {
+      const rawUrl = match[2].trim();
+      if (!rawUrl || rawUrl.startsWith("data:")) continue;
+      const url = rawUrl.startsWith("http") ? rawUrl : new URL(rawUrl, base).href;
+      if (isIconFont(url)) continue;
+      const b64 = await inlineFontUrl(url);
+      if (b64) inlined = inlined.replace(match[0], `url(${await subset(b64)})`);
+    }
+    return inlined;
+  };
+
   const loadedFonts = new Set();
   try {
     for (const f of document.fonts) {
       if (f.status === "loaded") {
-        loadedFonts.add(`${f.family}__${f.weight || "normal"}__${f.style || "normal"}`);
+        loadedFonts.add(getFaceKey(f.family, f.weight, f.style, f.unicodeRange));
       }
     }
   } catch {}
 
-  const importRegex = /@import\s+url\(["']?([^"')]+)["']?\)/g;
-  const styleImports = [];
-
-  for (const styleTag of document.querySelectorAll("style")) {
-    const cssText = styleTag.textContent || "";
-    const matches = Array.from(cssText.matchAll(importRegex));
-    for (const match of matches) {
-      const importUrl = match[1];
-      if (isIconFont(importUrl)) continue;
-      if (!isStylesheetLoaded(importUrl)) {
-        styleImports.push(importUrl);
+  // Stylesheets read by this call; a URL already on the import chain is a cycle. Their
+  // text is cached by URL apart from the CSS above, which changes with the captured text
+  const fetchedSheets = new Set();
+  const loadSheet = async (url, chain = []) => {
+    if (chain.includes(url)) {
+      recordWarning(report, "[snapdom] Circular @import skipped:", url);
+      return [];
+    }
+    if (fetchedSheets.has(url) || isIconFont(url)) return [];
+    fetchedSheets.add(url);
+    const sheetKey = `fonts-sheet::${url}`;
+    let cssText = cache.resource.get(sheetKey);
+    if (cssText === undefined) {
+      try {
+        cssText = await trackResource(report, url, "css", async () => {
+          const res = await fetchResource(url, { ...fetchOptions, kind: 'css' });
+          return res.text();
+        });
+      } catch (e) {
+        recordWarning(report, "[snapdom] Failed to fetch CSS:", url);
+        complete = false;
+        return [];
       }
+      cache.resource.set(sheetKey, cssText);
     }
-  }
-
-  await Promise.all(styleImports.map(injectLinkIfMissing));
-
-  const links = Array.from(document.querySelectorAll('link[rel="stylesheet"]')).filter((link) => link.href);
-  let finalCSS = "";
+    if (isIconFont(cssText)) return [];
+    // Imported sheets come first, as in the cascade
+    return [...await resolveImports(cssText, url, [...chain, url]), { cssText, base: url }];
+  };
+  const resolveImports = async (cssText, base, chain = []) => {
+    const sheets = [];
+    for (const entry of parseImports(cssText, base)) {
+      if (importApplies(entry)) sheets.push(...await loadSheet(entry.url, chain));
+    }
+    return sheets;
+  };
 
-  for (const link of links) {
-    try {
-      const res = await fetchResource(link.href, { useProxy });
-      const cssText = await res.text();
-
-      if ((isIconFont(link.href) || isIconFont(cssText))) continue;
-
-      const faceRegex = /@font-face[^{}]*{[^}]*}/g;
-      let cssFinal = cssText;
-      for (const face of cssText.match(faceRegex) || []) {
-        const famMatch = face.match(/font-family:\s*([^;]+);/i);
-        if (!famMatch) continue;
-        const family = famMatch[1].replace(/['"]/g, '').trim();
-        const weightMatch = face.match(/font-weight:\s*([^;]+);/i);
-        const styleMatch = face.match(/font-style:\s*([^;]+);/i);
-        const weight = weightMatch ? weightMatch[1].trim() : 'normal';
-        const style = styleMatch ? styleMatch[1].trim() : 'normal';
-        const key = `${family}__${weight}__${style}`;
-        const urlRegex = /url\((["']?)([^"')]+)\1\)/g;
-        const hasURL = /url\(/i.test(face);
-        const hasLocal = /local\(/i.test(face);
-
-        if (!hasURL && hasLocal) {
-          continue;
-        }
-        if (!loadedFonts.has(key)) {
-          cssFinal = cssFinal.replace(face, '');
-          continue;
-        }
+  // 1. Gather candidate faces: { family, weight, style, render() }
+  const faces = [];
+
+  // Linked stylesheets and all the stylesheets imported from them or from <style> tags,
+  // in the document and in the shadow roots of the captured element
+  const scopes = [document, ...collectShadowRoots(root)];
+  const links = [];
+  const sheets = [];
+  for (const scope of scopes) {
+    // Fonts declared in shadow roots are not listed in document.fonts: kept when used
+    const scoped = scope !== document;
+    for (const link of scope.querySelectorAll('link[rel="stylesheet"]')) {
+      if (!link.href) continue;
+      links.push(link);
+      for (const sheet of await loadSheet(link.href)) sheets.push({ ...sheet, scoped });
+    }
+    for (const styleTag of scope.querySelectorAll("style")) {
+      for (const sheet of await resolveImports(styleTag.textContent || "", document.baseURI)) sheets.push({ ...sheet, scoped });
+    }
+  }
 
-        let inlined = face;
-        const matches = Array.from(face.matchAll(urlRegex));
-        for (const match of matches) {
-          let rawUrl = extractURL(match[0]);
-          if (!rawUrl) continue;
-          let url = rawUrl;
-          if (!url.startsWith('http') && !url.startsWith('data:')) {
-            url = new URL(url, link.href).href;
-          }
-          if (isIconFont(url)) continue;
-          if (cache.resource.has(url)) {
-            cache.font.add(url);
-            inlined = inlined.replace(match[0], `url(${cache.resource.get(url)})`);
-            continue;
-          }
-          if (cache.font.has(url)) continue;
-          try {
-            const fontRes = await fetchResource(url, { useProxy });
-            const blob = await fontRes.blob();
-            const b64 = await new Promise((resolve) => {
-              const reader = new FileReader();
-              reader.onload = () => resolve(reader.result);
-              reader.readAsDataURL(blob);
-            });
-            cache.resource.set(url, b64);
-            cache.font.add(url);
-            inlined = inlined.replace(match[0], `url(${b64})`);
-          } catch (e) {
-            console.warn('[snapdom] Failed to fetch font resource:', url);
-          }
-        }
-        cssFinal = cssFinal.replace(face, inlined);
-      }
-      finalCSS += cssFinal + "\n";
-    } catch (e) {
-      console.warn("[snapdom] Failed to fetch CSS:", link.href);
+  for (const { cssText, base, scoped } of sheets) {
+    const faceRegex = /@font-face[^{}]*{[^}]*}/g;
+    for (const face of cssText.match(faceRegex) || []) {
+      const famMatch = face.match(/font-family:\s*([^;}]+)/i);
+      if (!famMatch) continue;
+      const family = famMatch[1].replace(/['"]/g, '').trim();
+      const weightMatch = face.match(/font-weight:\s*([^;}]+)/i);
+      const styleMatch = face.match(/font-style:\s*([^;}]+)/i);
+      const rangeMatch = face.match(/unicode-range:\s*([^;}]+)/i);
+      const weight = weightMatch ? weightMatch[1].trim() : 'normal';
+      const style = styleMatch ? styleMatch[1].trim() : 'normal';
+      const unicodeRange = rangeMatch ? rangeMatch[1].trim() : '';
+      const hasURL = /url\(/i.test(face);
+      const localOnly = !hasURL && /local\(/i.test(face);
+      if (!localOnly && !scoped && !loadedFonts.has(getFaceKey(family, weight, style, unicodeRange))) continue;
+      faces.push({
+        family, weight, style, unicodeRange,
+        render: async () => (hasURL ? await inlineSrc(face, base) : face) + "\n",
+      });
     }
   }
 
-  for (const sheet of document.styleSheets) {
+  // <style> tags and constructed (adopted) stylesheets, read through the CSSOM: sheet →
+  // whether it is scoped to a shadow root. A sheet adopted by several roots is read once
+  const cssomSheets = new Map();
+  for (const scope of scopes) {
+    for (const sheet of [...(scope.styleSheets || []), ...(scope.adoptedStyleSheets || [])]) {
+      if (!cssomSheets.has(sheet)) cssomSheets.set(sheet, scope !== document);
+    }
+  }
+  for (const [sheet, scoped] of cssomSheets) {
     try {
       if (!sheet.href || links.every((link) => link.href !== sheet.href)) {
         for (const rule of sheet.cssRules) {
@@ -212,91 +615,69 @@ export async function embedCustomFonts({ preCached = false, localFonts = [], use
 
             const weightVal = rule.style.getPropertyValue("font-weight") || "normal";
             const styleVal = rule.style.getPropertyValue("font-style") || "normal";
-            const key = `${family}__${weightVal}__${styleVal}`;
+            const unicodeRange = rule.style.getPropertyValue("unicode-range");
 
             const urlRegex = /url\((["']?)([^"')]+)\1\)/g;
             const localRegex = /local\((["']?)[^)]+?\1\)/g;
             const hasURL = !!src.match(urlRegex);
             const hasLocal = !!src.match(localRegex);
 
-            if (!hasURL && hasLocal) {
-              finalCSS += `@font-face{font-family:${family};src:${src};font-style:${styleVal};font-weight:${weightVal};}`;
-              continue;
-            }
-
-            if (!loadedFonts.has(key)) continue;
-
-            let inlinedSrc = src;
-            const matches = Array.from(src.matchAll(urlRegex));
-            for (const match of matches) {
-              let rawUrl = match[2].trim();
-              if (!rawUrl) continue;
-              let url = rawUrl;
-              if (!url.startsWith("http") && !url.startsWith("data:")) {
-                url = new URL(url, sheet.href || location.href).href;
-              }
-              if (isIconFont(url)) continue;
-              if (cache.resource.has(url)) {
-                cache.font.add(url);
-                inlinedSrc = inlinedSrc.replace(match[0], `url(${cache.resource.get(url)})`);
-                continue;
-              }
-              if (cache.font.has(url)) continue;
-              try {
-                const res = await fetchResource(url, { useProxy });
-                const blob = await res.blob();
-                const b64 = await new Promise((resolve) => {
-                  const reader = new FileReader();
-                  reader.onload = () => resolve(reader.result);
-                  reader.readAsDataURL(blob);
-                });
-                cache.resource.set(url, b64);
-                cache.font.add(url);
-                inlinedSrc = inlinedSrc.replace(match[0], `url(${b64})`);
-              } catch (e) {
-                console.warn("[snapdom] Failed to fetch font URL:", url);
-              }
-            }
-
-            finalCSS += `@font-face{font-family:${family};src:${inlinedSrc};font-style:${styleVal};font-weight:${weightVal};}`;
+            const localOnly = !hasURL && hasLocal;
+            if (!localOnly && !scoped && !loadedFonts.has(getFaceKey(family, weightVal, styleVal, unicodeRange))) continue;
+
+            const base = sheet.href || location.href;
+            faces.push({
+              family, weight: weightVal, style: styleVal, unicodeRange,
+              render: async () => {
+                const inlinedSrc = hasURL ? await inlineSrc(src, base) : src;
+                const range = unicodeRange ? `unicode-range:${unicodeRange};` : "";
+                return `@font-face{font-family:${family};src:${inlinedSrc};font-style:${styleVal};font-weight:${weightVal};${range}}`;
+              },
+            });
           }
         }
       }
     } catch (e) {
-      console.warn("[snapdom] Cannot access stylesheet", sheet.href, e);
+      recordWarning(report, "[snapdom] Cannot access stylesheet", sheet.href, e);
     }
   }
 
   for (const font of document.fonts) {
     if (font.family && font.status === "loaded" && font._snapdomSrc) {
       if (isIconFont(font.family)) continue;
-      let b64 = font._snapdomSrc;
-      if (!b64.startsWith("data:")) {
-        if (cache.resource.has(font._snapdomSrc)) {
-          b64 = cache.resource.get(font._snapdomSrc);
-          cache.font.add(font._snapdomSrc);
-        } else if (!cache.font.has(font._snapdomSrc)) {
-          try {
-            const res = await fetchResource(font._snapdomSrc, { useProxy });
-            const blob = await res.blob();
-            b64 = await new Promise((resolve) => {
-              const reader = new FileReader();
-              reader.onload = () => resolve(reader.result);
-              reader.readAsDataURL(blob);
-            });
-            cache.resource.set(font._snapdomSrc, b64);
-            cache.font.add(font._snapdomSrc);
-          } catch (e) {
-            console.warn("[snapdom] Failed to fetch dynamic font src:", font._snapdomSrc);
-            continue;
+      faces.push({
+        family: font.family, weight: font.weight, style: font.style, unicodeRange: font.unicodeRange,
+        render: async () => {
+          let b64 = font._snapdomSrc;
+          if (!b64.startsWith("data:")) {
+            const inlined = await inlineFontUrl(b64);
+            if (!inlined) return "";
+            b64 = inlined;
           }
-        }
-      }
-
-      finalCSS += `@font-face{font-family:'${font.family}';src:url(${b64});font-style:${font.style || "normal"};font-weight:${font.weight || "normal"};}`;
+          if (b64.startsWith("data:")) b64 = await subset(b64);
+          const range = font.unicodeRange && font.unicodeRange !== "U+0-10FFFF" ? `unicode-range:${font.unicodeRange};` : "";
+          return `@font-face{font-family:'${font.family}';src:url(${b64});font-style:${font.style || "normal"};font-weight:${font.weight || "normal"};${range}}`;
+        },
+      });
     }
   }
 
+  // 2. Keep the faces the captured text uses, and among them the unicode-range slices
+  // covering its characters, 3. inline their files
+  let selected = usedFonts ? selectUsedFaces(faces, usedFonts) : faces;
+  if (codePoints) {
+    const sorted = [...codePoints].sort((a, b) => a - b);
+    selected = selected.filter((face) => {
+      const ranges = parseUnicodeRange(face.unicodeRange);
+      const everything = ranges.length === 1 && ranges[0][0] === 0 && ranges[0][1] >= 0x10ffff;
+      return everything || intersectsRanges(ranges, sorted);
+    });
+  }
+  let finalCSS = "";
+  for (const face of selected) {
+    finalCSS += await face.render();
+  }
+
   for (const font of localFonts) {
     if (!font || typeof font !== 'object') continue;
     const { family, src, weight = 'normal', style = 'normal' } = font;
@@ -305,28 +686,24 @@ export async function embedCustomFonts({ preCached = false, localFonts = [], use
     let b64 = src;
     if (!b64.startsWith('data:')) {
       try {
-        const res = await fetchResource(src, { useProxy });
-        const blob = await res.blob();
-        b64 = await new Promise((resolve) => {
-          const reader = new FileReader();
-          reader.onload = () => resolve(reader.result);
-          reader.readAsDataURL(blob);
-        });
+        b64 = await loadFont(src);
         cache.resource.set(src, b64);
         cache.font.add(src);
       } catch (e) {
-        console.warn('[snapdom] Failed to load local font:', src);
+        recordWarning(report, '[snapdom] Failed to load local font:', src);
+        complete = false;
         continue;
       }
     } else {
       cache.resource.set(src, b64);
       cache.font.add(src);
     }
+    b64 = await subset(b64);
     finalCSS += `@font-face{font-family:'${family}';src:url(${b64});font-style:${style};font-weight:${weight};}`;
   }
   
-  if (finalCSS) {
-    cache.resource.set("fonts-embed-css", finalCSS);
+  if (finalCSS && complete) {
+    cache.resource.set(cacheKey, finalCSS);
     if (preCached) {
       const style = document.createElement("style");
       style.setAttribute("data-snapdom", "embedFonts");
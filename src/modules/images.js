@@ -3,17 +3,75 @@
  * @module images
  */
 
-import { fetchImage } from '../utils/helpers.js';
+import { fetchImage, getStyle, getOutputRatio, getLoadPolicy, throwIfAborted, reportProgress } from '../utils/helpers.js';
+import { getCaptureState, trackResource, recordSkipped, recordWarning } from '../core/context.js';
+
+/**
+ * Reads how an <img> is rendered (object-fit and content box), for downsampling.
+ *
+ * @param {HTMLImageElement} img - Image in the live DOM
+ * @returns {{mode:string,width:number,height:number}} Sizing descriptor
+ */
+export function getImageSizing(img) {
+  const style = getStyle(img);
+  return {
+    mode: style.objectFit || "fill",
+    width: parseFloat(style.width) || img.width,
+    height: parseFloat(style.height) || img.height,
+  };
+}
+
+/**
+ * Resolves the `imageFallback` option for an image that failed to load.
+ *
+ * `imageFallback` can be an image URL (usually a data URL), `"keep"` (leave the
+ * original URL), `"remove"` (drop the image), or a function `(target, error)`
+ * returning any of those or a Node.
+ *
+ * @param {string|Function} [imageFallback] - The option value
+ * @param {Element} target - The <img> clone, or the element owning the background / pseudo-element
+ * @param {Error} error - The load error
+ * @param {Object} [report] - Capture report, receiving errors thrown by the function
+ * @returns {Promise<{node?: Node, src?: string, keep?: boolean, remove?: boolean}|null>} Resolved fallback, or null for the built-in one
+ */
+export async function resolveImageFallback(imageFallback, target, error, report) {
+  let value = imageFallback;
+  if (typeof value === "function") {
+    try {
+      value = await value(target, error);
+    } catch (e) {
+      recordWarning(report, "[snapdom] Error in imageFallback:", e);
+      return null;
+    }
+  }
+  if (value === "keep") return { keep: true };
+  if (value === "remove") return { remove: true };
+  if (value && typeof value === "object" && value.nodeType) return { node: value };
+  if (typeof value === "string" && value) return { src: value };
+  return null;
+}
 
 /**
  * Converts all <img> elements in the clone to data URLs or replaces them with placeholders if loading fails.
  *
  * @param {Element} clone - Clone of the original element
  * @param {Object} [options={}] - Options for image processing
+ * @param {string|Function} [options.imageFallback] - Replacement for images that fail to load
+ * @param {boolean} [options.downsampleImages] - Resample images to their rendered size × dpr × scale
+ * @param {string} [options.imageEncoding="png"] - Encoding policy: "original", "png", "jpeg", "webp" or "auto"
+ * @param {number} [options.imageQuality=0.92] - Quality for lossy encodings
+ * @param {number} [options.resourceTimeout] - Timeout per load attempt; images past the capture `timeout` get the fallback
+ * @param {AbortSignal} [options.signal] - Checked between batches of images
+ * @param {Function} [options.onProgress] - Called after each batch with `{ phase: "images", done, total }`
  * @returns {Promise<void>} Promise that resolves when all images are processed
+ * @throws {DOMException} AbortError if the signal is aborted
  */
 export async function inlineImages(clone, options = {}) {
   const imgs = Array.from(clone.querySelectorAll("img"));
+  const sizing = options.downsampleImages ? getCaptureState(options)?.imageSizing : null;
+  const ratio = getOutputRatio(options);
+  const policy = getLoadPolicy(options);
+  const report = getCaptureState(options)?.report;
   const processImg = async (img) => {
     if (!img.getAttribute('src')) {
       const eff = img.currentSrc || img.src || '';
@@ -22,20 +80,43 @@ export async function inlineImages(clone, options = {}) {
     img.removeAttribute('srcset');
     img.removeAttribute('sizes');
     const src = img.src;
+    const rendered = sizing?.get(img);
     try {
-      const dataUrl = await fetchImage(src, { useProxy: options.useProxy });
+      const dataUrl = await trackResource(report, src, "image", () => fetchImage(src, {
+        useProxy: options.useProxy,
+        resample: rendered ? { ...rendered, ratio } : null,
+        encoding: options.imageEncoding,
+        quality: options.imageQuality,
+        fetch: options.fetch,
+        ...policy,
+      }));
       img.src = dataUrl;
       if (!img.width) img.width = img.naturalWidth || 100;
       if (!img.height) img.height = img.naturalHeight || 100;
-    } catch {
+    } catch (error) {
+      const custom = await resolveImageFallback(options.imageFallback, img, error, report);
+      if (custom?.keep) return;
+      if (custom?.remove) {
+        // Report the page's <img>, like the other skipped nodes, not the detached clone
+        recordSkipped(report, getCaptureState(options)?.nodeMap?.get(img) ?? img, "imageFallback");
+        return img.remove();
+      }
+      if (custom?.node) return img.replaceWith(custom.node);
+      if (custom?.src) {
+        img.src = custom.src;
+        return;
+      }
       const fallback = document.createElement("div");
       fallback.style = `width: ${img.width || 100}px; height: ${img.height || 100}px; background: #ccc; display: inline-block; text-align: center; line-height: ${img.height || 100}px; color: #666; font-size: 12px;`;
       fallback.innerText = "img";
       img.replaceWith(fallback);
     }
   };
+  if (!imgs.length) reportProgress(options, "images", 0, 0);
   for (let i = 0; i < imgs.length; i += 4) {
+    throwIfAborted(options.signal);
     const group = imgs.slice(i, i + 4).map(processImg);
     await Promise.allSettled(group);
+    reportProgress(options, "images", Math.min(i + 4, imgs.length), imgs.length);
   }
 }
\ No newline at end of file
@@ -12,11 +12,14 @@ import {
   fetchImage,
   inlineSingleBackgroundEntry,
   splitBackgroundImage,
+  getLoadPolicy,
 } from '../utils/helpers.js';
 import { getStyleKey } from '../utils/cssTools.js';
 import { iconToImage } from '../modules/fonts.js';
 import { isIconFont } from '../modules/iconFonts.js';
 import { cache } from '../core/cache.js';
+import { resolveImageFallback } from './images.js';
+import { getCaptureState, trackResource, recordWarning } from '../core/context.js';
 
 /**
  * Creates elements to represent ::before, ::after, and ::first-letter pseudo-elements, inlining their styles and content.
@@ -25,11 +28,13 @@ import { cache } from '../core/cache.js';
  * @param {Element} clone - Cloned element
  * @param {boolean} compress - Whether to compress style keys
  * @param {boolean} embedFonts - Whether to embed icon fonts as images
+ * @param {Object} [options={}] - Capture options (useProxy, imageFallback)
  * @returns {Promise} Promise that resolves when all pseudo-elements are processed
  */
 
-export async function inlinePseudoElements(source, clone, styleMap, styleCache, options) {
-  if (!(source instanceof Element) || !(clone instanceof Element)) return;
+export async function inlinePseudoElements(source, clone, styleMap, styleCache, compress, embedFonts, options = {}) {
+  if (source?.nodeType !== Node.ELEMENT_NODE || clone?.nodeType !== Node.ELEMENT_NODE) return;
+  const report = getCaptureState(options)?.report;
 
   for (const pseudo of ['::before', '::after', '::first-letter']) {
     try {
@@ -70,7 +75,7 @@ export async function inlinePseudoElements(source, clone, styleMap, styleCache,
         span.textContent = first;
         span.dataset.snapdomPseudo = '::first-letter';
         const snapshot = snapshotComputedStyle(style);
-        const key = getStyleKey(snapshot, 'span', options);
+        const key = getStyleKey(snapshot, 'span', compress);
         styleMap.set(span, key);
 
         const restNode = document.createTextNode(rest);
@@ -117,7 +122,7 @@ export async function inlinePseudoElements(source, clone, styleMap, styleCache,
       pseudoEl.dataset.snapdomPseudo = pseudo;
       pseudoEl.style.verticalAlign = 'middle'
       const snapshot = snapshotComputedStyle(style);
-      const key = getStyleKey(snapshot, 'span', options);
+      const key = getStyleKey(snapshot, 'span', compress);
       styleMap.set(pseudoEl, key);
 
       if (isIconFont2 && cleanContent.length === 1) {
@@ -130,14 +135,27 @@ pseudoEl.appendChild(imgEl);
       } else if (cleanContent.startsWith('url(')) {
         const rawUrl = extractURL(cleanContent);
         if (rawUrl?.trim()) {
+          const imgEl = document.createElement('img');
+          imgEl.style = `width:${fontSize}px;height:auto;object-fit:contain;`;
           try {
-            const imgEl = document.createElement('img');
-            const dataUrl = await fetchImage(safeEncodeURI(rawUrl), options);
-            imgEl.src = dataUrl;
-            imgEl.style = `width:${fontSize}px;height:auto;object-fit:contain;`;
+            imgEl.src = await trackResource(report, rawUrl, "image", () => fetchImage(safeEncodeURI(rawUrl), {
+              useProxy: options.useProxy,
+              encoding: options.imageEncoding,
+              quality: options.imageQuality,
+              fetch: options.fetch,
+              ...getLoadPolicy(options),
+            }));
             pseudoEl.appendChild(imgEl);
           } catch (e) {
-            console.error(`[snapdom] Error in pseudo ${pseudo} for`, source, e);
+            const custom = await resolveImageFallback(options.imageFallback, source, e, report);
+            if (custom?.node) {
+              pseudoEl.appendChild(custom.node);
+            } else if (custom?.src || custom?.keep) {
+              imgEl.src = custom.src || rawUrl;
+              pseudoEl.appendChild(imgEl);
+            } else if (!custom?.remove) {
+              recordWarning(report, `[snapdom] Error in pseudo ${pseudo} for`, source, e);
+            }
           }
         }
       } else if (!isIconFont2 && hasExplicitContent) {
@@ -147,10 +165,27 @@ pseudoEl.appendChild(imgEl);
       if (hasBg) {
         try {
           const bgSplits = splitBackgroundImage(bg);
-          const newBgParts = await Promise.all(bgSplits.map(inlineSingleBackgroundEntry));
+          const newBgParts = await Promise.all(bgSplits.map((entry) =>
+            trackResource(report, extractURL(entry), "background", () => inlineSingleBackgroundEntry(entry, {
+              useProxy: options.useProxy,
+              imageEncoding: options.imageEncoding,
+              imageQuality: options.imageQuality,
+              fetch: options.fetch,
+              resourceTimeout: options.resourceTimeout,
+              retries: options.retries,
+              retryDelay: options.retryDelay,
+              deadline: getLoadPolicy(options).deadline,
+            })).catch(async (error) => {
+              const custom = await resolveImageFallback(options.imageFallback, source, error, report);
+              if (custom?.keep) return entry;
+              if (custom?.remove) return 'none';
+              if (custom?.src) return `url("${custom.src}")`;
+              throw error;
+            })
+          ));
           pseudoEl.style.backgroundImage = newBgParts.join(', ');
         } catch (e) {
-          console.warn(`[snapdom] Failed to inline background-image for ${pseudo}`, e);
+          recordWarning(report, `[snapdom] Failed to inline background-image for ${pseudo}`, e);
         }
       }
 
@@ -169,14 +204,14 @@ pseudoEl.appendChild(imgEl);
         clone.appendChild(pseudoEl);
       }
     } catch (e) {
-      console.warn(`[snapdom] Failed to capture ${pseudo} for`, source, e);
+      recordWarning(report, `[snapdom] Failed to capture ${pseudo} for`, source, e);
     }
   }
 
   const sChildren = Array.from(source.children);
   const cChildren = Array.from(clone.children).filter((child) => !child.dataset.snapdomPseudo);
   for (let i = 0; i < Math.min(sChildren.length, cChildren.length); i++) {
-    await inlinePseudoElements(sChildren[i], cChildren[i], styleMap, styleCache, options);
+    await inlinePseudoElements(sChildren[i], cChildren[i], styleMap, styleCache, compress, embedFonts, options);
   }
 }
 
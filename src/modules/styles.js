@@ -1,9 +1,13 @@
 import { getStyleKey } from '../utils/cssTools.js';
 import { getStyle } from '../utils/helpers.js';
 import {cache} from '../core/cache.js'
+import { getCaptureState } from '../core/context.js';
 
-const snapshotCache = new WeakMap();       // Element → snapshot (object)
-const snapshotKeyCache = new Map();        // hash string → style key
+// Element → snapshot lives in cache.snapshot, which cache.reset() renews on every capture
+// so a class or style change between captures is never missed. Watched captures use the
+// snapshots of their session instead, which it invalidates on mutations.
+// hash string → style key: content-addressed, so it can safely outlive captures (LRU-bounded)
+const snapshotKeyCache = cache.snapshotKey;
 
 function snapshotComputedStyleFull(style) {
   const result = {};
@@ -36,23 +40,26 @@ function snapshotComputedStyleFull(style) {
 
 
 
-export function inlineAllStyles(source, clone, styleMap, cache, compress) {
+export function inlineAllStyles(source, clone, styleMap, styleCache, compress, options) {
   
   if (source.tagName === 'STYLE') return;
+  const snapshots = getCaptureState(options)?.watch?.snapshots ?? cache.snapshot;
 
-  if (!cache.has(source)) {
-    cache.set(source, getStyle(source));
+  if (!styleCache.has(source)) {
+    styleCache.set(source, getStyle(source));
   }
-  const style = cache.get(source);
+  const style = styleCache.get(source);
 
-  if (!snapshotCache.has(source)) {
+  if (!snapshots.has(source)) {
     const snapshot = snapshotComputedStyleFull(style);
-    snapshotCache.set(source, snapshot);
+    snapshots.set(source, snapshot);
   }
 
-  const snapshot = snapshotCache.get(source);
+  const snapshot = snapshots.get(source);
+  const tagName = source.tagName?.toLowerCase() || 'div';
 
-  const hash = Object.entries(snapshot)
+  // The key depends on the tag defaults and compress mode, not only on the snapshot
+  const hash = `${tagName}|${compress ? 1 : 0}|` + Object.entries(snapshot)
     .sort(([a], [b]) => a.localeCompare(b))
     .map(([prop, val]) => `${prop}:${val}`)
     .join(';');
@@ -62,7 +69,6 @@ export function inlineAllStyles(source, clone, styleMap, cache, compress) {
     return;
   }
 
-  const tagName = source.tagName?.toLowerCase() || 'div';
   const key = getStyleKey(snapshot, tagName, compress);
 
   snapshotKeyCache.set(hash, key);
@@ -0,0 +1,26 @@
+/**
+ * Typed errors thrown by snapDOM so callers can branch on `error.name` / `error.code`.
+ * @module errors
+ */
+
+/**
+ * Thrown by `toClipboard()` when the capture cannot be written to the clipboard.
+ *
+ * `code` is one of:
+ * - `"permission-denied"`: the browser or the user refused clipboard access
+ * - `"unsupported"`: the Async Clipboard API is not available
+ * - `"write-failed"`: any other failure while writing
+ */
+export class ClipboardError extends Error {
+  /**
+   * @param {string} message - Human readable message
+   * @param {string} code - Failure code
+   * @param {*} [cause] - Original error, if any
+   */
+  constructor(message, code, cause) {
+    super(message);
+    this.name = "ClipboardError";
+    this.code = code;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
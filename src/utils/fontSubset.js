@@ -0,0 +1,661 @@
+/**
+ * Pure JavaScript font subsetter: keeps only the glyphs needed to render a set of code
+ * points, so embedded fonts (CJK ones in particular) don't carry thousands of unused outlines.
+ *
+ * Glyph ids are retained: unused glyphs are emptied rather than removed, so the tables
+ * indexed by glyph id (hmtx, GSUB, GPOS, kern...) stay valid as they are. TrueType (glyf)
+ * and CFF outlines are supported, in TTF/OTF or WOFF files; WOFF2 and collections are not.
+ * @module fontSubset
+ */
+
+const SFNT_TRUETYPE = 0x00010000;
+const SIGNATURE_WOFF = 0x774f4646; // "wOFF"
+const SIGNATURE_OTTO = 0x4f54544f; // "OTTO"
+
+// Type 2 charstring of an empty glyph
+const ENDCHAR = new Uint8Array([14]);
+
+const pad4 = (n) => (n + 3) & ~3;
+
+function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+function readTag(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, part) => n + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+function checksum(bytes) {
+  let sum = 0;
+  for (let i = 0; i < bytes.length; i += 4) {
+    sum = (sum + (((bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3]) >>> 0)) >>> 0;
+  }
+  return sum;
+}
+
+/**
+ * Whether WOFF files can be decoded and re-encoded in this environment.
+ *
+ * @returns {boolean} True if CompressionStream and DecompressionStream are available
+ */
+export function canSubsetWoff() {
+  return typeof CompressionStream !== "undefined" && typeof DecompressionStream !== "undefined";
+}
+
+async function pipe(bytes, stream) {
+  return new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer());
+}
+
+function readSfnt(bytes) {
+  const view = viewOf(bytes);
+  const tables = new Map();
+  for (let i = 0; i < view.getUint16(4); i++) {
+    const record = 12 + i * 16;
+    const offset = view.getUint32(record + 8);
+    tables.set(readTag(bytes, record), bytes.subarray(offset, offset + view.getUint32(record + 12)));
+  }
+  return { flavor: view.getUint32(0), tables };
+}
+
+async function readWoff(bytes) {
+  const view = viewOf(bytes);
+  const tables = new Map();
+  for (let i = 0; i < view.getUint16(12); i++) {
+    const record = 44 + i * 20;
+    const offset = view.getUint32(record + 4);
+    const compLength = view.getUint32(record + 8);
+    const data = bytes.subarray(offset, offset + compLength);
+    tables.set(readTag(bytes, record), compLength < view.getUint32(record + 12) ? await pipe(data, new DecompressionStream("deflate")) : data);
+  }
+  return { flavor: view.getUint32(4), tables };
+}
+
+function writeSfnt(flavor, tables) {
+  const tags = [...tables.keys()].sort();
+  const headerSize = 12 + tags.length * 16;
+  const out = new Uint8Array(tags.reduce((n, tag) => n + pad4(tables.get(tag).length), headerSize));
+  const view = viewOf(out);
+  const power = 2 ** Math.floor(Math.log2(tags.length));
+  view.setUint32(0, flavor);
+  view.setUint16(4, tags.length);
+  view.setUint16(6, power * 16);
+  view.setUint16(8, Math.log2(power));
+  view.setUint16(10, (tags.length - power) * 16);
+  let offset = headerSize;
+  let headOffset = -1;
+  tags.forEach((tag, i) => {
+    const data = tables.get(tag);
+    const record = 12 + i * 16;
+    for (let k = 0; k < 4; k++) out[record + k] = tag.charCodeAt(k);
+    view.setUint32(record + 4, checksum(data));
+    view.setUint32(record + 8, offset);
+    view.setUint32(record + 12, data.length);
+    out.set(data, offset);
+    if (tag === "head") headOffset = offset;
+    offset += pad4(data.length);
+  });
+  // checkSumAdjustment, computed over the whole file with the field zeroed
+  if (headOffset >= 0) view.setUint32(headOffset + 8, (0xb1b0afba - checksum(out)) >>> 0);
+  return out;
+}
+
+async function sfntToWoff(sfnt) {
+  const view = viewOf(sfnt);
+  const numTables = view.getUint16(4);
+  const entries = [];
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    const offset = view.getUint32(record + 8);
+    const length = view.getUint32(record + 12);
+    const data = sfnt.subarray(offset, offset + length);
+    const compressed = await pipe(data, new CompressionStream("deflate"));
+    entries.push({ record, length, data: compressed.length < length ? compressed : data });
+  }
+  const headerSize = 44 + numTables * 20;
+  const out = new Uint8Array(entries.reduce((n, entry) => n + pad4(entry.data.length), headerSize));
+  const woff = viewOf(out);
+  woff.setUint32(0, SIGNATURE_WOFF);
+  woff.setUint32(4, view.getUint32(0));
+  woff.setUint32(8, out.length);
+  woff.setUint16(12, numTables);
+  woff.setUint32(16, sfnt.length);
+  woff.setUint16(20, 1);
+  let offset = headerSize;
+  entries.forEach((entry, i) => {
+    const record = 44 + i * 20;
+    out.set(sfnt.subarray(entry.record, entry.record + 4), record);
+    woff.setUint32(record + 4, offset);
+    woff.setUint32(record + 8, entry.data.length);
+    woff.setUint32(record + 12, entry.length);
+    woff.setUint32(record + 16, view.getUint32(entry.record + 4));
+    out.set(entry.data, offset);
+    offset += pad4(entry.data.length);
+  });
+  return out;
+}
+
+/**
+ * Reads the Unicode subtable of a cmap table (format 4 or 12).
+ *
+ * @param {Uint8Array} cmap - cmap table
+ * @returns {Function|null} Code point → glyph id (0 when unmapped), or null without a Unicode subtable
+ */
+function readCmap(cmap) {
+  const view = viewOf(cmap);
+  let best = -1;
+  let bestRank = 0;
+  for (let i = 0; i < view.getUint16(2); i++) {
+    const platform = view.getUint16(4 + i * 8);
+    const encoding = view.getUint16(6 + i * 8);
+    const offset = view.getUint32(8 + i * 8);
+    const unicode = platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10));
+    const format = view.getUint16(offset);
+    const rank = !unicode ? 0 : format === 12 ? 2 : format === 4 ? 1 : 0;
+    if (rank > bestRank) {
+      best = offset;
+      bestRank = rank;
+    }
+  }
+  if (best < 0) return null;
+
+  if (bestRank === 2) {
+    const groups = view.getUint32(best + 12);
+    return (cp) => {
+      let lo = 0;
+      let hi = groups - 1;
+      while (lo <= hi) {
+        const mid = (lo + hi) >> 1;
+        const group = best + 16 + mid * 12;
+        if (cp < view.getUint32(group)) hi = mid - 1;
+        else if (cp > view.getUint32(group + 4)) lo = mid + 1;
+        else return view.getUint32(group + 8) + cp - view.getUint32(group);
+      }
+      return 0;
+    };
+  }
+
+  const segX2 = view.getUint16(best + 6);
+  const ends = best + 14;
+  const starts = ends + segX2 + 2;
+  const deltas = starts + segX2;
+  const rangeOffsets = deltas + segX2;
+  return (cp) => {
+    if (cp > 0xffff) return 0;
+    // First segment ending at or after cp
+    let lo = 0;
+    let hi = segX2 / 2 - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (view.getUint16(ends + mid * 2) < cp) lo = mid + 1;
+      else hi = mid;
+    }
+    const seg = lo * 2;
+    const start = view.getUint16(starts + seg);
+    if (view.getUint16(ends + seg) < cp || start > cp) return 0;
+    const delta = view.getUint16(deltas + seg);
+    const rangeOffset = view.getUint16(rangeOffsets + seg);
+    if (!rangeOffset) return (cp + delta) & 0xffff;
+    const gid = view.getUint16(rangeOffsets + seg + rangeOffset + (cp - start) * 2);
+    return gid ? (gid + delta) & 0xffff : 0;
+  };
+}
+
+/**
+ * Builds a cmap table with a format 4 subtable, plus a format 12 one for code points
+ * beyond the BMP.
+ *
+ * @param {number[][]} mapping - [codePoint, glyphId] pairs sorted by code point
+ * @returns {Uint8Array|null} cmap table, or null when the format 4 subtable would overflow
+ */
+function buildCmap(mapping) {
+  const runs = (entries) => {
+    const list = [];
+    for (const [cp, gid] of entries) {
+      const last = list[list.length - 1];
+      if (last && cp === last.end + 1 && gid === last.gid + cp - last.start) last.end = cp;
+      else list.push({ start: cp, end: cp, gid });
+    }
+    return list;
+  };
+
+  const segments = runs(mapping.filter(([cp]) => cp < 0xffff));
+  segments.push({ start: 0xffff, end: 0xffff, gid: 0 });
+  const segX2 = segments.length * 2;
+  const format4Length = 16 + segments.length * 8;
+  if (format4Length > 0xffff) return null;
+  const format4 = new Uint8Array(format4Length);
+  const f4 = viewOf(format4);
+  const searchRange = 2 * 2 ** Math.floor(Math.log2(segments.length));
+  f4.setUint16(0, 4);
+  f4.setUint16(2, format4Length);
+  f4.setUint16(6, segX2);
+  f4.setUint16(8, searchRange);
+  f4.setUint16(10, Math.log2(searchRange / 2));
+  f4.setUint16(12, segX2 - searchRange);
+  segments.forEach(({ start, end, gid }, i) => {
+    f4.setUint16(14 + i * 2, end);
+    f4.setUint16(16 + segX2 + i * 2, start);
+    f4.setUint16(16 + segX2 * 2 + i * 2, (gid - start) & 0xffff);
+  });
+
+  const subtables = [[1, format4]];
+  if (mapping.some(([cp]) => cp > 0xffff)) {
+    const groups = runs(mapping);
+    const format12 = new Uint8Array(16 + groups.length * 12);
+    const f12 = viewOf(format12);
+    f12.setUint16(0, 12);
+    f12.setUint32(4, format12.length);
+    f12.setUint32(12, groups.length);
+    groups.forEach(({ start, end, gid }, i) => {
+      f12.setUint32(16 + i * 12, start);
+      f12.setUint32(20 + i * 12, end);
+      f12.setUint32(24 + i * 12, gid);
+    });
+    subtables.push([10, format12]);
+  }
+
+  const header = new Uint8Array(4 + subtables.length * 8);
+  const view = viewOf(header);
+  view.setUint16(2, subtables.length);
+  let offset = header.length;
+  subtables.forEach(([encoding, data], i) => {
+    view.setUint16(4 + i * 8, 3);
+    view.setUint16(6 + i * 8, encoding);
+    view.setUint32(8 + i * 8, offset);
+    offset += data.length;
+  });
+  return concat([header, ...subtables.map(([, data]) => data)]);
+}
+
+function readCoverage(view, offset) {
+  const glyphs = [];
+  const count = view.getUint16(offset + 2);
+  if (view.getUint16(offset) === 1) {
+    for (let i = 0; i < count; i++) glyphs.push(view.getUint16(offset + 4 + i * 2));
+  } else {
+    for (let i = 0; i < count; i++) {
+      const end = view.getUint16(offset + 6 + i * 6);
+      for (let g = view.getUint16(offset + 4 + i * 6); g <= end; g++) glyphs.push(g);
+    }
+  }
+  return glyphs;
+}
+
+/**
+ * Adds the glyphs GSUB can substitute for kept glyphs (single, multiple, alternate,
+ * ligature and reverse chaining substitutions), until nothing changes. Contextual
+ * lookups only apply other lookups, which are all followed anyway.
+ *
+ * @param {Uint8Array} gsub - GSUB table
+ * @param {Set<number>} glyphs - Kept glyph ids, extended in place
+ */
+function addSubstitutions(gsub, glyphs) {
+  const view = viewOf(gsub);
+  const u16 = (offset) => view.getUint16(offset);
+  const lookupList = u16(8);
+  const subtables = [];
+  for (let i = 0; i < u16(lookupList); i++) {
+    const lookup = lookupList + u16(lookupList + 2 + i * 2);
+    const type = u16(lookup);
+    for (let j = 0; j < u16(lookup + 4); j++) {
+      const sub = lookup + u16(lookup + 6 + j * 2);
+      // Extension subtables point at the real one
+      if (type === 7) subtables.push([u16(sub + 2), sub + view.getUint32(sub + 4)]);
+      else subtables.push([type, sub]);
+    }
+  }
+
+  const apply = (type, sub) => {
+    // Contextual lookups have no coverage offset at +2 (format 3 has a glyph count there)
+    if (![1, 2, 3, 4, 8].includes(type)) return;
+    const coverage = readCoverage(view, sub + u16(sub + 2));
+    coverage.forEach((g, i) => {
+      if (!glyphs.has(g)) return;
+      if (type === 1) {
+        glyphs.add(u16(sub) === 1 ? (g + view.getInt16(sub + 4)) & 0xffff : u16(sub + 6 + i * 2));
+      } else if (type === 2 || type === 3) {
+        const sequence = sub + u16(sub + 6 + i * 2);
+        for (let k = 0; k < u16(sequence); k++) glyphs.add(u16(sequence + 2 + k * 2));
+      } else if (type === 4) {
+        const set = sub + u16(sub + 6 + i * 2);
+        for (let k = 0; k < u16(set); k++) {
+          const ligature = set + u16(set + 2 + k * 2);
+          let complete = true;
+          for (let c = 1; c < u16(ligature + 2); c++) complete = complete && glyphs.has(u16(ligature + 2 + c * 2));
+          if (complete) glyphs.add(u16(ligature));
+        }
+      } else if (type === 8) {
+        const lookahead = sub + 6 + u16(sub + 4) * 2;
+        const substitutes = lookahead + 2 + u16(lookahead) * 2;
+        glyphs.add(u16(substitutes + 2 + i * 2));
+      }
+    });
+  };
+
+  for (let size = -1; size !== glyphs.size;) {
+    size = glyphs.size;
+    for (const [type, sub] of subtables) apply(type, sub);
+  }
+}
+
+function readLoca(tables, numGlyphs) {
+  const long = viewOf(tables.get("head")).getInt16(50) === 1;
+  const view = viewOf(tables.get("loca"));
+  const offsets = [];
+  for (let i = 0; i <= numGlyphs; i++) offsets.push(long ? view.getUint32(i * 4) : view.getUint16(i * 2) * 2);
+  return offsets;
+}
+
+/**
+ * Empties the unused glyphs of a glyf table, keeping the components of kept composites.
+ *
+ * @param {Map<string, Uint8Array>} tables - Font tables; glyf, loca and head are replaced
+ * @param {Set<number>} glyphs - Kept glyph ids
+ * @param {number} numGlyphs - Number of glyphs in the font
+ */
+function subsetGlyf(tables, glyphs, numGlyphs) {
+  const glyf = tables.get("glyf");
+  const view = viewOf(glyf);
+  const offsets = readLoca(tables, numGlyphs);
+  const queue = [...glyphs];
+  while (queue.length) {
+    const gid = queue.pop();
+    if (gid >= numGlyphs || offsets[gid + 1] <= offsets[gid] || view.getInt16(offsets[gid]) >= 0) continue;
+    // Composite glyph: flags, glyphIndex, arguments and transform per component
+    for (let p = offsets[gid] + 10, more = true; more;) {
+      const flags = view.getUint16(p);
+      const component = view.getUint16(p + 2);
+      if (!glyphs.has(component)) {
+        glyphs.add(component);
+        queue.push(component);
+      }
+      p += 4 + (flags & 0x0001 ? 4 : 2) + (flags & 0x0008 ? 2 : flags & 0x0040 ? 4 : flags & 0x0080 ? 8 : 0);
+      more = !!(flags & 0x0020);
+    }
+  }
+
+  const length = (gid) => (glyphs.has(gid) ? Math.max(0, offsets[gid + 1] - offsets[gid]) : 0);
+  let size = 0;
+  for (let gid = 0; gid < numGlyphs; gid++) size += pad4(length(gid));
+  const long = size > 0x1fffe;
+  const out = new Uint8Array(size);
+  const loca = new Uint8Array((numGlyphs + 1) * (long ? 4 : 2));
+  const locaView = viewOf(loca);
+  let offset = 0;
+  for (let gid = 0; gid <= numGlyphs; gid++) {
+    if (long) locaView.setUint32(gid * 4, offset);
+    else locaView.setUint16(gid * 2, offset / 2);
+    if (gid === numGlyphs || !length(gid)) continue;
+    out.set(glyf.subarray(offsets[gid], offsets[gid + 1]), offset);
+    offset += pad4(length(gid));
+  }
+  const head = tables.get("head").slice();
+  viewOf(head).setInt16(50, long ? 1 : 0);
+  tables.set("glyf", out);
+  tables.set("loca", loca);
+  tables.set("head", head);
+}
+
+function readIndex(data, offset) {
+  const count = (data[offset] << 8) | data[offset + 1];
+  if (!count) return { items: [], end: offset + 2 };
+  const offSize = data[offset + 2];
+  const readOffset = (i) => {
+    let value = 0;
+    for (let k = 0; k < offSize; k++) value = value * 256 + data[offset + 3 + i * offSize + k];
+    return value;
+  };
+  // Offsets are 1-based, from the byte before the data
+  const base = offset + 2 + (count + 1) * offSize;
+  const items = [];
+  for (let i = 0; i < count; i++) items.push(data.subarray(base + readOffset(i), base + readOffset(i + 1)));
+  return { items, end: base + readOffset(count) };
+}
+
+function writeIndex(items) {
+  if (!items.length) return new Uint8Array(2);
+  const last = items.reduce((n, item) => n + item.length, 1);
+  const offSize = last < 0x100 ? 1 : last < 0x10000 ? 2 : last < 0x1000000 ? 3 : 4;
+  const header = new Uint8Array(3 + (items.length + 1) * offSize);
+  header[0] = items.length >> 8;
+  header[1] = items.length & 0xff;
+  header[2] = offSize;
+  let offset = 1;
+  for (let i = 0; i <= items.length; i++) {
+    for (let k = offSize - 1, value = offset; k >= 0; k--, value = Math.floor(value / 256)) {
+      header[3 + i * offSize + k] = value % 256;
+    }
+    if (i < items.length) offset += items[i].length;
+  }
+  return concat([header, ...items]);
+}
+
+/**
+ * Reads a CFF DICT into entries keeping the raw operand bytes, so entries that are not
+ * patched are written back untouched. Two-byte operators are numbered 1200 + second byte.
+ *
+ * @param {Uint8Array} data - DICT data
+ * @returns {Array<{op:number, operands:number[], raw:Uint8Array}>} Entries
+ */
+function readDict(data) {
+  const entries = [];
+  let operands = [];
+  let start = 0;
+  for (let i = 0; i < data.length;) {
+    const b = data[i];
+    if (b <= 21) {
+      const op = b === 12 ? 1200 + data[i + 1] : b;
+      entries.push({ op, operands, raw: data.subarray(start, i) });
+      i += b === 12 ? 2 : 1;
+      start = i;
+      operands = [];
+    } else if (b === 28) {
+      operands.push((data[i + 1] << 24 >> 16) | data[i + 2]);
+      i += 3;
+    } else if (b === 29) {
+      operands.push((data[i + 1] << 24) | (data[i + 2] << 16) | (data[i + 3] << 8) | data[i + 4]);
+      i += 5;
+    } else if (b === 30) {
+      // Real number: nibbles up to the 0xf terminator. Never an offset, so kept raw only
+      for (i++; i < data.length; i++) {
+        if ((data[i] >> 4) === 0xf || (data[i] & 0xf) === 0xf) break;
+      }
+      i++;
+      operands.push(NaN);
+    } else if (b >= 32 && b <= 246) {
+      operands.push(b - 139);
+      i++;
+    } else if (b >= 247 && b <= 250) {
+      operands.push((b - 247) * 256 + data[i + 1] + 108);
+      i += 2;
+    } else if (b >= 251 && b <= 254) {
+      operands.push(-(b - 251) * 256 - data[i + 1] - 108);
+      i += 2;
+    } else {
+      i++;
+    }
+  }
+  return entries;
+}
+
+/**
+ * Writes DICT entries, encoding the operands of `patch` operators as 32-bit integers so
+ * the DICT size doesn't depend on the offsets written into it.
+ *
+ * @param {Array} entries - Entries from readDict
+ * @param {Map<number, number[]>} patch - Operator → new operands
+ * @returns {Uint8Array} DICT data
+ */
+function writeDict(entries, patch) {
+  const parts = [];
+  for (const { op, raw } of entries) {
+    if (patch.has(op)) {
+      for (const value of patch.get(op)) {
+        parts.push(new Uint8Array([29, (value >>> 24) & 0xff, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]));
+      }
+    } else {
+      parts.push(raw);
+    }
+    parts.push(new Uint8Array(op >= 1200 ? [12, op - 1200] : [op]));
+  }
+  return concat(parts);
+}
+
+const getOperands = (entries, op) => entries.find((entry) => entry.op === op)?.operands;
+
+// Private DICT followed by its local subroutines, which it references relatively
+function copyPrivate(cff, [size, offset]) {
+  const entries = readDict(cff.subarray(offset, offset + size));
+  const subrs = getOperands(entries, 19);
+  if (!subrs) return { size, data: cff.subarray(offset, offset + size) };
+  const dictSize = writeDict(entries, new Map([[19, [0]]])).length;
+  const local = readIndex(cff, offset + subrs[0]);
+  return {
+    size: dictSize,
+    data: concat([writeDict(entries, new Map([[19, [dictSize]]])), cff.subarray(offset + subrs[0], local.end)]),
+  };
+}
+
+function charsetLength(cff, offset, numGlyphs) {
+  const format = cff[offset];
+  if (format === 0) return 1 + (numGlyphs - 1) * 2;
+  const nLeftSize = format === 1 ? 1 : 2;
+  let p = offset + 1;
+  for (let covered = 1; covered < numGlyphs; p += 2 + nLeftSize) {
+    covered += (nLeftSize === 1 ? cff[p + 2] : (cff[p + 2] << 8) | cff[p + 3]) + 1;
+  }
+  return p - offset;
+}
+
+function encodingLength(cff, offset) {
+  const format = cff[offset];
+  let length = 2 + cff[offset + 1] * ((format & 0x7f) === 0 ? 1 : 2);
+  // Supplements
+  if (format & 0x80) length += 1 + cff[offset + length] * 3;
+  return length;
+}
+
+function fdSelectLength(cff, offset, numGlyphs) {
+  if (cff[offset] === 0) return 1 + numGlyphs;
+  return 5 + ((cff[offset + 1] << 8) | cff[offset + 2]) * 3;
+}
+
+/**
+ * Rebuilds a CFF table with empty charstrings for the unused glyphs. Structures after the
+ * global subroutines are laid out again and the offsets pointing at them rewritten.
+ *
+ * @param {Uint8Array} cff - CFF table
+ * @param {Set<number>} glyphs - Kept glyph ids
+ * @returns {Uint8Array} CFF table
+ */
+function subsetCff(cff, glyphs) {
+  const names = readIndex(cff, cff[2]);
+  const topDicts = readIndex(cff, names.end);
+  const strings = readIndex(cff, topDicts.end);
+  const globalSubrs = readIndex(cff, strings.end);
+  const top = readDict(topDicts.items[0]);
+  const charStrings = readIndex(cff, getOperands(top, 17)[0]);
+  const numGlyphs = charStrings.items.length;
+
+  const charset = getOperands(top, 15)?.[0];
+  const encoding = getOperands(top, 16)?.[0];
+  const privateOperands = getOperands(top, 18);
+  const fdSelect = getOperands(top, 1237)?.[0];
+  const fdArray = getOperands(top, 1236)?.[0];
+  // Operators whose offsets are rewritten (predefined charsets and encodings are not offsets)
+  const placeholders = new Map(top
+    .filter(({ op }) => op === 17 || (op === 15 && charset > 2) || (op === 16 && encoding > 1) || [18, 1236, 1237].includes(op))
+    .map(({ op, operands }) => [op, operands.map(() => 0)]));
+
+  const blocks = [];
+  const patch = new Map();
+  let offset = names.end + writeIndex([writeDict(top, placeholders)]).length + (globalSubrs.end - topDicts.end);
+  const append = (data) => {
+    blocks.push(data);
+    const start = offset;
+    offset += data.length;
+    return start;
+  };
+
+  if (charset > 2) patch.set(15, [append(cff.subarray(charset, charset + charsetLength(cff, charset, numGlyphs)))]);
+  if (encoding > 1) patch.set(16, [append(cff.subarray(encoding, encoding + encodingLength(cff, encoding)))]);
+  patch.set(17, [append(writeIndex(charStrings.items.map((item, gid) => (glyphs.has(gid) ? item : ENDCHAR))))]);
+  if (privateOperands) {
+    const { size, data } = copyPrivate(cff, privateOperands);
+    patch.set(18, [size, append(data)]);
+  }
+  if (fdSelect !== undefined) patch.set(1237, [append(cff.subarray(fdSelect, fdSelect + fdSelectLength(cff, fdSelect, numGlyphs)))]);
+  if (fdArray !== undefined) {
+    const fontDicts = readIndex(cff, fdArray).items.map((item) => {
+      const entries = readDict(item);
+      const operands = getOperands(entries, 18);
+      if (!operands) return item;
+      const { size, data } = copyPrivate(cff, operands);
+      return writeDict(entries, new Map([[18, [size, append(data)]]]));
+    });
+    patch.set(1236, [append(writeIndex(fontDicts))]);
+  }
+
+  return concat([
+    cff.subarray(0, names.end),
+    writeIndex([writeDict(top, patch)]),
+    cff.subarray(topDicts.end, globalSubrs.end),
+    ...blocks,
+  ]);
+}
+
+/**
+ * Subsets a font file to the glyphs needed for a set of code points: the glyphs they map
+ * to, the glyphs GSUB can substitute for those (ligatures, alternates) and the components
+ * of composite glyphs. The cmap is rebuilt for the kept code points.
+ *
+ * @param {Uint8Array} bytes - TTF, OTF or WOFF file
+ * @param {Iterable<number>} codePoints - Code points to keep
+ * @returns {Promise<Blob|null>} Subset font (WOFF stays WOFF), or null when the file can't be subset
+ */
+export async function subsetFont(bytes, codePoints) {
+  if (bytes.length < 12) return null;
+  const signature = viewOf(bytes).getUint32(0);
+  const woff = signature === SIGNATURE_WOFF;
+  if (woff ? !canSubsetWoff() : signature !== SFNT_TRUETYPE && signature !== SIGNATURE_OTTO && readTag(bytes, 0) !== "true") return null;
+  const { flavor, tables } = woff ? await readWoff(bytes) : readSfnt(bytes);
+  const lookup = tables.has("cmap") ? readCmap(tables.get("cmap")) : null;
+  if (!lookup || !tables.has("maxp") || !tables.has("head")) return null;
+
+  const numGlyphs = viewOf(tables.get("maxp")).getUint16(4);
+  const glyphs = new Set([0]);
+  const mapping = [];
+  for (const cp of [...new Set(codePoints)].sort((a, b) => a - b)) {
+    const gid = lookup(cp);
+    if (!gid || gid >= numGlyphs) continue;
+    glyphs.add(gid);
+    mapping.push([cp, gid]);
+  }
+  if (tables.has("GSUB")) addSubstitutions(tables.get("GSUB"), glyphs);
+
+  if (tables.has("glyf") && tables.has("loca")) subsetGlyf(tables, glyphs, numGlyphs);
+  else if (tables.has("CFF ")) tables.set("CFF ", subsetCff(tables.get("CFF "), glyphs));
+  else return null;
+
+  const cmap = buildCmap(mapping);
+  if (cmap) tables.set("cmap", cmap);
+  // A signature no longer matches the file
+  tables.delete("DSIG");
+  const head = tables.get("head").slice();
+  viewOf(head).setUint32(8, 0);
+  tables.set("head", head);
+
+  const sfnt = writeSfnt(flavor, tables);
+  if (woff) return new Blob([await sfntToWoff(sfnt)], { type: "font/woff" });
+  return new Blob([sfnt], { type: flavor === SIGNATURE_OTTO ? "font/otf" : "font/ttf" });
+}
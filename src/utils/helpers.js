@@ -1,4 +1,7 @@
-import { cache } from "../core/cache";
+import { cache, registerCache } from "../core/cache";
+import { LRUCache } from "../core/lru.js";
+import { isPersistent, readPersisted, writePersisted } from "../core/persist.js";
+import { getCaptureState } from "../core/context.js";
 
 /**
  * Fetches and inlines a single background-image entry to a data URL (with caching).
@@ -8,6 +11,10 @@ import { cache } from "../core/cache";
  * @param {string} entry - Single background-image entry (e.g., "url(...)").
  * @param {Object} [options={}] - Options like crossOrigin.
  * @param {boolean} [options.skipInline=false] - If true, only fetches & caches, doesn't return a replacement.
+ * @param {Object} [options.resample] - Rendered sizing used to downsample the image (see getResampleSize)
+ * @param {string} [options.imageEncoding] - Encoding policy (see fetchImage)
+ * @param {number} [options.imageQuality] - Quality for lossy encodings
+ * @param {number} [options.resourceTimeout] - Timeout per load attempt (see getLoadPolicy)
  * @returns {Promise<string|void>} - The processed entry (unless skipInline is true).
  */
 export async function inlineSingleBackgroundEntry(entry, options = {}) {
@@ -17,11 +24,20 @@ export async function inlineSingleBackgroundEntry(entry, options = {}) {
   
   if (rawUrl) {
     const encodedUrl = safeEncodeURI(rawUrl);
-    if (cache.background.has(encodedUrl)) {
-      return options.skipInline ? void 0 : `url(${cache.background.get(encodedUrl)})`;
+    const fetchOptions = {
+      useProxy: options.useProxy,
+      fetch: options.fetch,
+      resample: options.resample,
+      encoding: options.imageEncoding,
+      quality: options.imageQuality,
+      ...getLoadPolicy(options),
+    };
+    const cacheKey = getImageCacheKey(encodedUrl, fetchOptions);
+    if (cache.background.has(cacheKey)) {
+      return options.skipInline ? void 0 : `url(${cache.background.get(cacheKey)})`;
     } else {
-      const dataUrl = await fetchImage(encodedUrl, { useProxy: options.useProxy });
-      cache.background.set(encodedUrl, dataUrl);
+      const dataUrl = await fetchImage(encodedUrl, fetchOptions);
+      cache.background.set(cacheKey, dataUrl);
       return options.skipInline ? void 0 : `url("${dataUrl}")`;
     }
   }
@@ -48,6 +64,85 @@ export function idle(fn, { fast = false } = {}) {
     setTimeout(fn, 1);
   }
 }
+
+/**
+ * Throws an AbortError if the signal has been aborted.
+ * The signal's own reason is rethrown when it already is an AbortError.
+ *
+ * @param {AbortSignal} [signal] - Signal passed in the capture options
+ * @throws {DOMException} AbortError
+ */
+export function throwIfAborted(signal) {
+  if (!signal?.aborted) return;
+  if (signal.reason?.name === "AbortError") throw signal.reason;
+  throw new DOMException("The capture was aborted", "AbortError");
+}
+
+/**
+ * Loading settings of a capture, in the shape fetchImage / fetchResource / requestResource take:
+ * the per-attempt timeout, the retries and the deadline set by the `timeout` option.
+ * Copies of the capture options can carry the deadline as `options.deadline`.
+ *
+ * @param {Object} [options={}] - Capture options
+ * @param {number} [options.resourceTimeout] - Timeout per load attempt, in ms
+ * @param {number} [options.retries=0] - Retries after a failed attempt
+ * @param {number} [options.retryDelay=250] - Delay before the first retry, doubled on each one
+ * @returns {{timeout?:number, retries?:number, retryDelay?:number, deadline:number}} Load policy
+ */
+export function getLoadPolicy(options = {}) {
+  return {
+    timeout: options.resourceTimeout,
+    retries: options.retries,
+    retryDelay: options.retryDelay,
+    deadline: options.deadline ?? getCaptureState(options)?.deadline ?? Infinity,
+  };
+}
+
+function createTimeoutError(message) {
+  return new DOMException(message, "TimeoutError");
+}
+
+// Time an attempt may take: the per-attempt timeout, cut short by the capture deadline
+function getAttemptTimeout(timeout = Infinity, deadline = Infinity) {
+  return Math.min(timeout, deadline - Date.now());
+}
+
+/**
+ * Rejects with a TimeoutError when the promise does not settle in time.
+ *
+ * @param {Promise} promise - Promise to guard
+ * @param {number} ms - Time limit; Infinity returns the promise unchanged
+ * @param {Function} [onTimeout] - Called when the limit is hit (e.g. to abort a request)
+ * @returns {Promise} The guarded promise
+ */
+export function withTimeout(promise, ms, onTimeout) {
+  if (!Number.isFinite(ms)) return promise;
+  let timer;
+  const expired = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      onTimeout?.();
+      reject(createTimeoutError(`[snapdom] Timed out after ${Math.round(ms)}ms`));
+    }, Math.max(0, ms));
+  });
+  return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Calls the `onProgress` option, if any. Errors thrown by the callback are logged, never propagated.
+ *
+ * @param {Object} options - Capture options
+ * @param {string} phase - Capture phase ("clone", "images", "backgrounds", "fonts", "baseCSS", "serialize")
+ * @param {number} [done=1] - Completed units of the phase
+ * @param {number} [total=1] - Total units of the phase
+ */
+export function reportProgress(options, phase, done = 1, total = 1) {
+  if (typeof options?.onProgress !== "function") return;
+  try {
+    options.onProgress({ phase, done, total });
+  } catch (e) {
+    console.warn("[snapdom] Error in onProgress:", e);
+  }
+}
 /**
  * Gets the computed style for an element or pseudo-element, with caching.
  *
@@ -56,7 +151,7 @@ export function idle(fn, { fast = false } = {}) {
  * @returns {CSSStyleDeclaration} The computed style
  */
 export function getStyle(el, pseudo = null) {
-  if (!(el instanceof Element)) {
+  if (el?.nodeType !== Node.ELEMENT_NODE) {
     return window.getComputedStyle(el, pseudo);
   }
 
@@ -128,46 +223,367 @@ export function isIconFont(familyOrUrl) {
   return iconFontPatterns.some(rx => rx.test(familyOrUrl));
 }
 
+/**
+ * Normalizes the value returned by a custom `fetch` hook into a Response.
+ *
+ * @param {Response|Blob|string} result - Hook result
+ * @param {number} ms - Time left for the attempt, in ms
+ * @returns {Response|Promise<Response>} Response-like object
+ */
+function toResponse(result, ms) {
+  // A string is a URL (data:, blob:, absolute or relative to the document), fetched natively
+  // within the same attempt timeout as any other request
+  if (typeof result === "string") return fetchWithin(new URL(result, document.baseURI).href, undefined, ms);
+  if (typeof result.ok === "boolean") return result;
+  if (typeof Blob !== "undefined" && result instanceof Blob) return new Response(result);
+  throw new TypeError("[snapdom] The fetch option must resolve to a Response, a Blob or a URL string");
+}
+
+/**
+ * Loads a resource, going through the `fetch` capture option when one is given.
+ * Every network access of snapDOM (images, fonts, CSS, blob URLs) uses this.
+ *
+ * The hook receives `(url, { kind })` and may resolve to a Response, a Blob or a URL to
+ * load instead (e.g. a data URL or a local bundle). Resolving to `null`/`undefined` falls
+ * back to the network.
+ *
+ * Each attempt is limited to `timeout` and to the capture `deadline`. Network errors,
+ * timeouts, 408, 429 and 5xx responses are retried `retries` times with exponential backoff.
+ *
+ * @param {string} url - Resource URL
+ * @param {Object} [options]
+ * @param {string} [options.kind] - "image", "font", "css" or "blob"
+ * @param {Function} [options.fetch] - Custom fetcher `(url, { kind }) => Promise<Response|Blob|string>`
+ * @param {RequestInit} [options.init] - Init for the default network fetch
+ * @param {number} [options.timeout] - Timeout per attempt, in ms (none by default)
+ * @param {number} [options.retries=0] - Retries after a failed attempt
+ * @param {number} [options.retryDelay=250] - Delay before the first retry, in ms
+ * @param {number} [options.deadline=Infinity] - Timestamp after which no attempt is made
+ * @returns {Promise<Response>} The response
+ */
+export async function requestResource(url, { kind, fetch: fetchFn, init, timeout, retries = 0, retryDelay = 250, deadline = Infinity } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    const ms = getAttemptTimeout(timeout, deadline);
+    if (ms <= 0) throw createTimeoutError("[snapdom] Capture timeout exceeded");
+    try {
+      const res = await requestOnce(url, { kind, fetchFn, init }, ms);
+      if (!RETRY_STATUSES.test(String(res.status)) || attempt >= retries) return res;
+    } catch (e) {
+      if (attempt >= retries) throw e;
+    }
+    const wait = Math.min(retryDelay * 2 ** attempt, Math.max(0, deadline - Date.now()));
+    await new Promise((resolve) => setTimeout(resolve, wait));
+  }
+}
+
+const RETRY_STATUSES = /^(408|429|5\d\d)$/;
+
+async function requestOnce(url, { kind, fetchFn, init }, ms) {
+  if (typeof fetchFn === "function") {
+    const start = Date.now();
+    const result = await withTimeout(Promise.resolve(fetchFn(url, { kind })), ms);
+    if (result != null) return toResponse(result, ms - (Date.now() - start));
+  }
+  return fetchWithin(url, init, ms);
+}
+
+// Native fetch, aborted after `ms`
+function fetchWithin(url, init, ms) {
+  if (!Number.isFinite(ms)) return init ? fetch(url, init) : fetch(url);
+  const controller = new AbortController();
+  return withTimeout(fetch(url, { ...init, signal: controller.signal }), ms, () => controller.abort());
+}
+
+function matchesHost(host, pattern) {
+  if (pattern instanceof RegExp) return pattern.test(host);
+  if (typeof pattern !== "string") return false;
+  if (pattern.startsWith("*.")) return host.endsWith(pattern.slice(1));
+  return host === pattern;
+}
+
+/**
+ * Returns the proxied URL of a resource according to the `useProxy` option, or null
+ * when the resource must not be proxied. Same-origin, data: and blob: URLs never are.
+ *
+ * `useProxy` can be:
+ * - a prefix, concatenated with the encoded URL (`"https://proxy/"`)
+ * - a template where `{url}` is replaced by the URI-component-encoded URL (`"https://proxy/?u={url}"`)
+ * - a function `(url) => string | null`
+ * - an object `{ url, hosts: { allow, deny }, mode }`, where `url` is any of the above and
+ *   `allow`/`deny` list hostnames (`"cdn.example.com"`, `"*.example.com"` or RegExp)
+ *
+ * @param {string} url - Resource URL
+ * @param {string|Function|Object} useProxy - The `useProxy` option
+ * @returns {string|null} Proxied URL
+ */
+export function getProxyUrl(url, useProxy) {
+  if (!useProxy) return null;
+  let parsed;
+  try {
+    parsed = new URL(url, window.location.href);
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol) || parsed.origin === window.location.origin) return null;
+
+  let proxy = useProxy;
+  if (typeof proxy === "object") {
+    const { allow, deny } = proxy.hosts || {};
+    if (allow && !allow.some((p) => matchesHost(parsed.hostname, p))) return null;
+    if (deny && deny.some((p) => matchesHost(parsed.hostname, p))) return null;
+    proxy = proxy.url;
+  }
+  if (typeof proxy === "function") {
+    const result = proxy(url);
+    return typeof result === "string" && result ? result : null;
+  }
+  if (typeof proxy !== "string" || !proxy) return null;
+  if (proxy.includes("{url}")) return proxy.split("{url}").join(encodeURIComponent(url));
+  return proxy.replace(/\/$/, "") + safeEncodeURI(url);
+}
+
+/**
+ * URLs to try, in order, when loading a resource. With `mode: "always"` the direct
+ * request is skipped for resources the proxy applies to.
+ *
+ * @param {string} url - Resource URL
+ * @param {string|Function|Object} useProxy - The `useProxy` option
+ * @returns {string[]} One or two URLs
+ */
+export function getFetchAttempts(url, useProxy) {
+  const proxied = getProxyUrl(url, useProxy);
+  if (!proxied) return [url];
+  return useProxy?.mode === "always" ? [proxied] : [url, proxied];
+}
+
 /**
  * Fetch a resource with optional proxy fallback.
  * @param {string} url - Resource URL
  * @param {Object} [options]
- * @param {string} [options.useProxy=''] - Proxy prefix
+ * @param {string|Function|Object} [options.useProxy=''] - Proxy configuration (see getProxyUrl)
+ * @param {Function} [options.fetch] - Custom fetcher (see requestResource)
+ * @param {string} [options.kind='font'] - Resource kind passed to the custom fetcher
+ * @param {number} [options.timeout] - Timeout per attempt (see requestResource)
+ * @param {number} [options.retries] - Retries per URL
+ * @param {number} [options.retryDelay] - Delay before the first retry
+ * @param {number} [options.deadline] - Capture deadline
  * @returns {Promise<Response>} The fetched response
  */
-export async function fetchResource(url, { useProxy = '' } = {}) {
+export async function fetchResource(url, { useProxy = '', fetch: fetchFn, kind = 'font', timeout, retries, retryDelay, deadline } = {}) {
   async function doFetch(u) {
-    const res = await fetch(u);
+    const res = await requestResource(u, { kind, fetch: fetchFn, timeout, retries, retryDelay, deadline });
     if (!res.ok) throw new Error(`[snapdom] Failed to fetch resource: ${u}`);
     return res;
   }
-  try {
-    return await doFetch(url);
-  } catch (e) {
-    if (useProxy && typeof useProxy === 'string') {
-      const proxied = useProxy.replace(/\/$/, '') + safeEncodeURI(url);
-      return doFetch(proxied);
+  const attempts = getFetchAttempts(url, useProxy);
+  for (let i = 0; ; i++) {
+    try {
+      return await doFetch(attempts[i]);
+    } catch (e) {
+      if (i === attempts.length - 1) throw e;
     }
-    throw e;
   }
 }
 
 /**
+ * Ratio between output pixels and CSS pixels for a capture (dpr × scale).
  *
+ * @param {Object} [options={}] - Capture options
+ * @returns {number} Output pixels per CSS pixel
+ */
+export function getOutputRatio(options = {}) {
+  const dpr = options.dpr ?? (window.devicePixelRatio || 1);
+  return dpr * (options.scale || 1);
+}
+
+/**
+ * Describes how a background layer is sized, for downsampling.
+ *
+ * @param {string} sizeValue - One layer of the computed `background-size`
+ * @param {number} boxWidth - Background positioning area width (CSS px)
+ * @param {number} boxHeight - Background positioning area height (CSS px)
+ * @returns {{mode:string,width?:number,height?:number}} Sizing descriptor
+ */
+export function getBackgroundSizing(sizeValue, boxWidth, boxHeight) {
+  const value = (sizeValue || "auto").trim();
+  if (value === "cover" || value === "contain") return { mode: value, width: boxWidth, height: boxHeight };
+  const [a, b = "auto"] = value.split(/\s+/);
+  const length = (v, box) => (v === "auto" ? null : v.endsWith("%") ? (parseFloat(v) / 100) * box : parseFloat(v));
+  const w = length(a, boxWidth);
+  const h = length(b, boxHeight);
+  if (w == null && h == null) return { mode: "none" };
+  if (w != null && h != null) return { mode: "fill", width: w, height: h };
+  // One auto side keeps the aspect ratio
+  return { mode: "contain", width: w ?? Infinity, height: h ?? Infinity };
+}
+
+/**
+ * Computes the pixel size an image should be resampled to, given how it is rendered.
+ * Never upscales. Returns null when the natural size is already small enough.
+ *
+ * @param {number} naturalWidth - Natural image width
+ * @param {number} naturalHeight - Natural image height
+ * @param {Object} sizing - Rendered sizing
+ * @param {string} [sizing.mode="fill"] - object-fit like mode: "fill", "contain", "cover", "none", "scale-down"
+ * @param {number} [sizing.width] - Rendered box width (CSS px)
+ * @param {number} [sizing.height] - Rendered box height (CSS px)
+ * @param {number} [sizing.ratio=1] - Output pixels per CSS pixel (dpr × scale)
+ * @returns {{width:number,height:number}|null} Target size in pixels, or null to keep the natural size
+ */
+export function getResampleSize(naturalWidth, naturalHeight, { mode = "fill", width, height, ratio = 1 } = {}) {
+  if (!naturalWidth || !naturalHeight) return null;
+  const fit = Math.min(width / naturalWidth, height / naturalHeight);
+  let w, h;
+  switch (mode) {
+    case "none":
+      [w, h] = [naturalWidth, naturalHeight];
+      break;
+    case "contain":
+      [w, h] = [naturalWidth * fit, naturalHeight * fit];
+      break;
+    case "scale-down":
+      [w, h] = [naturalWidth * Math.min(1, fit), naturalHeight * Math.min(1, fit)];
+      break;
+    case "cover": {
+      const s = Math.max(width / naturalWidth, height / naturalHeight);
+      [w, h] = [naturalWidth * s, naturalHeight * s];
+      break;
+    }
+    default:
+      [w, h] = [width, height];
+  }
+  w = Math.min(naturalWidth, Math.ceil(w * ratio));
+  h = Math.min(naturalHeight, Math.ceil(h * ratio));
+  if (!Number.isFinite(w) || !Number.isFinite(h) || w < 1 || h < 1) return null;
+  if (w === naturalWidth && h === naturalHeight) return null;
+  return { width: w, height: h };
+}
+
+/**
+ * Cache key fragment for a sizing descriptor.
+ *
+ * @param {Object} sizing - Rendered sizing
+ * @returns {string} Key
+ */
+export function getResampleKey({ mode = "fill", width, height, ratio = 1 } = {}) {
+  const r = (n) => (Number.isFinite(n) ? Math.round(n * 100) / 100 : "auto");
+  return `${mode}:${r(width)}x${r(height)}@${r(ratio)}`;
+}
+
+function isSvgUrl(src) {
+  return /\.svg(\?.*)?$/i.test(src) || src.startsWith("data:image/svg");
+}
+
+/**
+ * Cache key of an inlined image: the source plus anything that changes its encoded bytes.
+ * The default PNG encoding at natural size keeps the bare source as key.
+ *
+ * @param {string} src - Image URL
+ * @param {Object} [options={}] - fetchImage options
+ * @returns {string} Cache key
+ */
+export function getImageCacheKey(src, { encoding = "png", quality = 0.92, resample = null } = {}) {
+  let key = src;
+  if (isSvgUrl(src)) return key;
+  if (encoding && encoding !== "png") key += `::${encoding}${encoding === "original" ? "" : `@${quality}`}`;
+  if (resample) key += `::${getResampleKey(resample)}`;
+  return key;
+}
+
+/**
+ * Whether any pixel of the canvas is not fully opaque.
+ *
+ * @param {CanvasRenderingContext2D} ctx - Context to inspect
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @returns {boolean} True if the canvas has transparency
+ */
+function hasAlpha(ctx, width, height) {
+  const data = ctx.getImageData(0, 0, width, height).data;
+  for (let i = 3; i < data.length; i += 4) {
+    if (data[i] < 255) return true;
+  }
+  return false;
+}
+
+/**
+ * Encodes a canvas following an `imageEncoding` policy.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas with the drawn image
+ * @param {CanvasRenderingContext2D} ctx - Its 2D context
+ * @param {string} encoding - "png", "jpeg", "webp" or "auto" ("original" falls back to PNG)
+ * @param {number} quality - Quality for lossy encodings
+ * @returns {string} Data URL
+ */
+function encodeCanvas(canvas, ctx, encoding, quality) {
+  let type = "image/png";
+  if (encoding === "jpeg") type = "image/jpeg";
+  else if (encoding === "webp") type = "image/webp";
+  // Opaque images are usually photos: JPEG is far smaller than PNG for them
+  else if (encoding === "auto" && !hasAlpha(ctx, canvas.width, canvas.height)) type = "image/jpeg";
+  return type === "image/png" ? canvas.toDataURL(type) : canvas.toDataURL(type, quality);
+}
+
+/**
+ * Fetches an image and returns it as a data URL, with caching, cooldown and proxy fallback.
+ *
+ * Raster images are re-encoded through a canvas according to `encoding`:
+ * - `"png"` (default): lossless PNG
+ * - `"jpeg"` / `"webp"`: lossy, using `quality` (transparent areas turn black with JPEG)
+ * - `"auto"`: JPEG for opaque images, PNG for images with transparency
+ * - `"original"`: keeps the fetched bytes and MIME type (animated GIFs stay animated)
+ *   when the resource is CORS-readable; otherwise PNG. Original bytes are never resampled.
  *
  * @export
- * @param {*} src
- * @param {number} [timeout=3000]
- * @return {*} 
+ * @param {string} src - Image URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout=3000] - Timeout per load attempt, in ms
+ * @param {number} [options.retries=0] - Retries of failed fetches (see requestResource)
+ * @param {number} [options.retryDelay=250] - Delay before the first retry, in ms
+ * @param {number} [options.deadline=Infinity] - Capture deadline; past it the load rejects with a TimeoutError
+ * @param {string|Function|Object} [options.useProxy=""] - Proxy configuration (see getProxyUrl)
+ * @param {number} [options.errorTTL=8000] - Cooldown after a failure, in ms
+ * @param {Object} [options.resample] - Rendered sizing; raster images are downsampled to it
+ * @param {string} [options.encoding="png"] - Encoding policy
+ * @param {number} [options.quality=0.92] - Quality for lossy encodings (0 to 1)
+ * @param {Function} [options.fetch] - Custom fetcher; when set, image bytes are always loaded through it
+ * @return {Promise<string>} Data URL
+ *
+ * With a persistent cache configured (see persist.js), entries are read from and written to it too.
  */
+export function fetchImage(src, options = {}) {
+  if (!isPersistent() || src.startsWith("data:")) return loadImage(src, options);
+  const key = getImageCacheKey(src, options);
+  if (cache.image.has(key)) return Promise.resolve(cache.image.get(key));
+  return readPersisted("image", key).then((stored) => {
+    if (stored) return stored;
+    return loadImage(src, options).then((dataURL) => {
+      writePersisted("image", key, dataURL);
+      return dataURL;
+    });
+  });
+}
+
 // utils/helpers.js (solo la función; deja el resto como está)
-var _inflight = /* @__PURE__ */ new Map();
-var _errorCache = /* @__PURE__ */ new Map();
+var _inflight = registerCache("inflight", new LRUCache({ maxEntries: 1000 }));
+var _errorCache = registerCache("error", new LRUCache({ maxEntries: 1000 }));
 
-export function fetchImage(
+// Loads an image through memory cache, <img>/canvas, custom fetcher and proxy (see fetchImage)
+function loadImage(
   src,
-  { timeout = 3000, useProxy = "", errorTTL = 8000 } = {}
+  {
+    timeout = 3000, useProxy = "", errorTTL = 8000, resample = null, encoding = "png", quality = 0.92, fetch: fetchFn,
+    retries = 0, retryDelay = 250, deadline = Infinity,
+  } = {}
 ) {
+  // Vector images are never re-encoded; raster variants are cached per source, encoding and target size
+  if (isSvgUrl(src)) {
+    resample = null;
+    encoding = "png";
+  }
+  encoding = encoding || "png";
+  const cacheKey = getImageCacheKey(src, { encoding, quality, resample });
+
   function getCrossOriginMode(url) {
     try {
       const parsed = new URL(url, window.location.href);
@@ -181,27 +597,43 @@ export function fetchImage(
   const ok   = (data) => ({ ok: true,  data });
   const fail = (e) => ({ ok: false, error: e instanceof Error ? e : new Error(String(e)) });
 
-  function fetchBlobAsDataURLSafe(fetchUrl) {
-    try {
-      return fetch(fetchUrl, {
+  function requestImage(fetchUrl) {
+    return requestResource(fetchUrl, {
+      kind: "image",
+      fetch: fetchFn,
+      timeout,
+      retries,
+      retryDelay,
+      deadline,
+      init: {
         mode: "cors",
         credentials: getCrossOriginMode(fetchUrl) === "use-credentials" ? "include" : "omit",
-      })
+      },
+    });
+  }
+
+  function blobToDataURLSafe(blob) {
+    return new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onloadend = () => {
+        const base64 = reader.result;
+        if (typeof base64 !== "string" || !base64.startsWith("data:image/")) {
+          resolve(fail(new Error("Invalid image data URL")));
+        } else {
+          resolve(ok(base64));
+        }
+      };
+      reader.onerror = () => resolve(fail(new Error("FileReader error")));
+      reader.readAsDataURL(blob);
+    });
+  }
+
+  function fetchBlobSafe(fetchUrl) {
+    try {
+      return requestImage(fetchUrl)
         .then((r) => {
           if (!r.ok) return fail(new Error("HTTP " + r.status));
-          return r.blob().then((blob) => new Promise((resolve) => {
-            const reader = new FileReader();
-            reader.onloadend = () => {
-              const base64 = reader.result;
-              if (typeof base64 !== "string" || !base64.startsWith("data:image/")) {
-                resolve(fail(new Error("Invalid image data URL")));
-              } else {
-                resolve(ok(base64));
-              }
-            };
-            reader.onerror = () => resolve(fail(new Error("FileReader error")));
-            reader.readAsDataURL(blob);
-          }));
+          return r.blob().then(ok);
         })
         .catch((e) => fail(e));
     } catch (e) {
@@ -209,20 +641,31 @@ export function fetchImage(
     }
   }
 
-  function fetchWithFallbackOnceSafe(url) {
-    return fetchBlobAsDataURLSafe(url).then((r) => {
+  function fetchBlobAsDataURLSafe(fetchUrl) {
+    return fetchBlobSafe(fetchUrl).then((r) => (r.ok ? blobToDataURLSafe(r.data) : r));
+  }
+
+  // The proxy sits on top of the custom fetcher: proxied URLs go through it too
+  async function withProxyFallback(url, load) {
+    for (const attempt of getFetchAttempts(url, useProxy)) {
+      const r = await load(attempt);
       if (r.ok) return r;
-      if (useProxy && typeof useProxy === "string") {
-        const proxied = useProxy.replace(/\/$/, "") + safeEncodeURI(url);
-        return fetchBlobAsDataURLSafe(proxied).then((r2) => {
-          if (r2.ok) return r2;
-          return fail(new Error("[SnapDOM - fetchImage] Fetch failed and no proxy provided"));
-        });
-      }
-      return fail(new Error("[SnapDOM - fetchImage] Fetch failed and no proxy provided"));
-    });
+    }
+    return fail(new Error("[SnapDOM - fetchImage] Fetch failed and no proxy provided"));
   }
 
+  function fetchWithFallbackOnceSafe(url) {
+    return withProxyFallback(url, fetchBlobAsDataURLSafe);
+  }
+
+  // A capture running out of time is not the image's fault: no cooldown then
+  const markFailed = () => {
+    if (Date.now() < deadline) _errorCache.set(src, Date.now() + errorTTL);
+  };
+
+  // Past the capture deadline, pending loads give up so the capture can finish
+  const guard = (promise) => withTimeout(promise, deadline - Date.now());
+
   // cooldown / inflight
   const now = Date.now();
   const until = _errorCache.get(src);
@@ -231,27 +674,31 @@ export function fetchImage(
     pr.catch(() => {}); // evita "unhandled" si el caller no hace catch
     return pr;
   }
-  if (_inflight.has(src)) return _inflight.get(src);
+  if (_inflight.has(cacheKey)) return _inflight.get(cacheKey);
 
   const crossOriginValue = getCrossOriginMode(src);
+  // useProxy with mode "always": skip the direct <img>/fetch attempt
+  const proxyFirst = getFetchAttempts(src, useProxy)[0] !== src;
 
   // cache rápida
-  if (cache.image.has(src)) return Promise.resolve(cache.image.get(src));
-  if (src.startsWith("data:image/")) {
+  if (cache.image.has(cacheKey)) return Promise.resolve(cache.image.get(cacheKey));
+  if (src.startsWith("data:image/") && !resample) {
     cache.image.set(src, src);
     return Promise.resolve(src);
   }
+  if (deadline <= now) {
+    const pr = Promise.reject(createTimeoutError("[snapdom] Capture timeout exceeded"));
+    pr.catch(() => {});
+    return pr;
+  }
 
   // ==== SVG ====
   if (/\.svg(\?.*)?$/i.test(src)) {
-    const p2 = (async () => {
-      // intento directo
-      const direct = await (async () => {
+    const p2 = guard((async () => {
+      // intento directo (omitido si el proxy va primero)
+      const direct = proxyFirst ? fail(new Error("Direct fetch skipped")) : await (async () => {
         try {
-          const res = await fetch(src, {
-            mode: "cors",
-            credentials: crossOriginValue === "use-credentials" ? "include" : "omit",
-          });
+          const res = await requestImage(src);
           if (!res.ok) return fail(new Error("HTTP " + res.status));
           const svgText = await res.text();
           return ok(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgText)}`);
@@ -271,9 +718,9 @@ export function fetchImage(
         cache.image.set(src, via.data);
         return via.data;
       }
-      _errorCache.set(src, now + errorTTL);
+      markFailed();
       return Promise.reject(via.error); // <— rechazo CONTROLADO (los tests con .rejects lo capturan)
-    })();
+    })());
 
     _inflight.set(src, p2);
     p2.finally(() => _inflight.delete(src));
@@ -282,7 +729,7 @@ export function fetchImage(
   }
 
   // ==== Raster genérico ====
-  const p = new Promise((resolve, reject) => {
+  const viaCanvas = (loadSrc, fallback = true) => new Promise((resolve, reject) => {
     let finished = false;
     const img = new Image();
 
@@ -294,58 +741,84 @@ export function fetchImage(
       fn(arg);
     };
 
-    const onSuccess = (d) => { cache.image.set(src, d); resolve(d); };
-    const onFinalError = (e) => { _errorCache.set(src, Date.now() + errorTTL); reject(e); };
+    const onSuccess = (d) => { cache.image.set(cacheKey, d); resolve(d); };
+    const onFinalError = (e) => { markFailed(); reject(e); };
+    // Bytes fetched directly or through the proxy; drawn like the <img> when it is resampled
+    // or re-encoded, and kept as they are if they can't be drawn
+    const onFailure = (error) => {
+      if (!fallback) return reject(error);
+      fetchWithFallbackOnceSafe(src).then((r) => {
+        if (!r.ok) return onFinalError(error || r.error);
+        if (encoding === "original" || (!resample && encoding === "png")) return onSuccess(r.data);
+        viaCanvas(r.data, false).then(resolve, () => onSuccess(r.data));
+      });
+    };
 
     const timeoutId = setTimeout(
-      finish(() => {
-        // El test "rejects on timeout" quiere exactamente este mensaje
-        fetchWithFallbackOnceSafe(src).then((r) => {
-          if (r.ok) onSuccess(r.data);
-          else onFinalError(new Error("Image load timed out"));
-        });
-      }),
-      timeout
+      // El test "rejects on timeout" quiere exactamente este mensaje
+      finish(() => onFailure(new Error("Image load timed out"))),
+      getAttemptTimeout(timeout, deadline)
     );
 
-    img.crossOrigin = crossOriginValue;
+    if (loadSrc === src) img.crossOrigin = crossOriginValue;
 
     img.onload = finish(() => {
       Promise.resolve(img.decode())
         .then(() => {
           try {
             const canvas = document.createElement("canvas");
-            canvas.width = img.naturalWidth || img.width;
-            canvas.height = img.naturalHeight || img.height;
+            const naturalWidth = img.naturalWidth || img.width;
+            const naturalHeight = img.naturalHeight || img.height;
+            const target = resample ? getResampleSize(naturalWidth, naturalHeight, resample) : null;
+            canvas.width = target ? target.width : naturalWidth;
+            canvas.height = target ? target.height : naturalHeight;
             const ctx = canvas.getContext("2d");
+            ctx.imageSmoothingQuality = "high";
             ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-            onSuccess(canvas.toDataURL("image/png"));
+            onSuccess(encodeCanvas(canvas, ctx, encoding, quality));
           } catch {
-            fetchWithFallbackOnceSafe(src).then((r) => {
-              if (r.ok) onSuccess(r.data); else onFinalError(r.error);
-            });
+            onFailure();
           }
         })
-        .catch(() => {
-          // El test "decode fail" quiere el mensaje de proxy ausente
-          fetchWithFallbackOnceSafe(src).then((r) => {
-            if (r.ok) onSuccess(r.data); else onFinalError(r.error);
-          });
-        });
+        // El test "decode fail" quiere el mensaje de proxy ausente
+        .catch(() => onFailure());
     });
 
-    img.onerror = finish(() => {
-      // El test "invalid-url" quiere el mensaje de proxy ausente
-      fetchWithFallbackOnceSafe(src).then((r) => {
-        if (r.ok) onSuccess(r.data); else onFinalError(r.error);
-      });
-    });
+    // El test "invalid-url" quiere el mensaje de proxy ausente
+    img.onerror = finish(() => onFailure());
+
+    img.src = loadSrc;
+  });
 
-    img.src = src;
+  // With a custom fetcher (or proxy first) the bytes come from it; the canvas only re-encodes them
+  const viaFetcher = () => withProxyFallback(src, fetchBlobSafe).then((r) => {
+    if (!r.ok) {
+      markFailed();
+      throw r.error;
+    }
+    if (encoding === "original") {
+      return blobToDataURLSafe(r.data).then((d) => {
+        if (!d.ok) throw d.error;
+        cache.image.set(cacheKey, d.data);
+        return d.data;
+      });
+    }
+    const objectURL = URL.createObjectURL(r.data);
+    return viaCanvas(objectURL).finally(() => URL.revokeObjectURL(objectURL));
   });
 
-  _inflight.set(src, p);
-  p.finally(() => _inflight.delete(src));
+  const p = guard(fetchFn || proxyFirst
+    ? viaFetcher()
+    : encoding === "original"
+      ? fetchBlobAsDataURLSafe(src).then((r) => {
+          if (!r.ok) return viaCanvas(src);
+          cache.image.set(cacheKey, r.data);
+          return r.data;
+        })
+      : viaCanvas(src));
+
+  _inflight.set(cacheKey, p);
+  p.finally(() => _inflight.delete(cacheKey));
   p.catch(() => {});                 // <— blindaje anti-unhandled si alguien no hace catch
   return p;
 }
@@ -0,0 +1,227 @@
+/**
+ * Minimal PDF writer and pagination helpers used by `toPdf()`.
+ * Pages are rendered as JPEG images (DCTDecode), so no external dependency is needed.
+ * @module pdf
+ */
+
+/**
+ * Standard page sizes in PDF points (1pt = 1/72in), portrait orientation.
+ */
+export const PAGE_SIZES = {
+  a3: [841.89, 1190.55],
+  a4: [595.28, 841.89],
+  a5: [419.53, 595.28],
+  letter: [612, 792],
+  legal: [612, 1008],
+  tabloid: [792, 1224],
+};
+
+/**
+ * Resolves a page size and orientation into [width, height] in points.
+ *
+ * @param {string|number[]} [pageSize="a4"] - Named size or [width, height] in points
+ * @param {string} [orientation="portrait"] - "portrait" or "landscape"
+ * @returns {number[]} Page [width, height] in points
+ */
+export function resolvePageSize(pageSize = "a4", orientation = "portrait") {
+  let size = Array.isArray(pageSize) ? pageSize : PAGE_SIZES[String(pageSize).toLowerCase()];
+  if (!size || !(size[0] > 0) || !(size[1] > 0)) {
+    throw new Error(`[snapdom] Invalid PDF page size: ${pageSize}`);
+  }
+  let [w, h] = size;
+  if ((orientation === "landscape" && w < h) || (orientation === "portrait" && w > h)) {
+    [w, h] = [h, w];
+  }
+  return [w, h];
+}
+
+/**
+ * Normalizes a margin option (number or per-side object) into points.
+ *
+ * @param {number|Object} [margin=0] - Margin in points
+ * @returns {{top:number,right:number,bottom:number,left:number}} Margins
+ */
+export function resolveMargin(margin = 0) {
+  if (typeof margin === "number") {
+    return { top: margin, right: margin, bottom: margin, left: margin };
+  }
+  const { top = 0, right = 0, bottom = 0, left = 0 } = margin || {};
+  return { top, right, bottom, left };
+}
+
+/**
+ * Collects vertical offsets (relative to the element top, in CSS px) where a page
+ * can be cut cleanly, plus the line boxes of text that must not be cut through.
+ *
+ * @param {Element} element - Captured element in the live DOM
+ * @returns {{breaks:number[], lines:Array<[number, number]>}} Break candidates and text line intervals
+ */
+export function collectPageBreaks(element) {
+  const breaks = new Set();
+  const lines = [];
+  if (!element || !element.isConnected) return { breaks: [], lines };
+
+  const top = element.getBoundingClientRect().top;
+  const walker = document.createTreeWalker(element, NodeFilter.SHOW_ELEMENT | NodeFilter.SHOW_TEXT);
+  const range = document.createRange();
+
+  let node = walker.nextNode();
+  while (node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      if (node.textContent.trim()) {
+        range.selectNodeContents(node);
+        for (const r of range.getClientRects()) {
+          if (r.height > 0) lines.push([r.top - top, r.bottom - top]);
+        }
+      }
+    } else {
+      const display = getComputedStyle(node).display;
+      if (display !== "inline" && display !== "none" && display !== "contents") {
+        const r = node.getBoundingClientRect();
+        if (r.height > 0) {
+          breaks.add(r.top - top);
+          breaks.add(r.bottom - top);
+        }
+      }
+    }
+    node = walker.nextNode();
+  }
+  range.detach?.();
+
+  return { breaks: Array.from(breaks).sort((a, b) => a - b), lines };
+}
+
+/**
+ * Splits a total height into page slices, preferring cuts between block children
+ * and never cutting through a text line when it can be avoided.
+ *
+ * @param {number} total - Total content height
+ * @param {number} pageHeight - Available height per page (same unit as total)
+ * @param {Object} [layout] - Result of collectPageBreaks, already in the same unit
+ * @returns {Array<[number, number]>} List of [start, end] slices
+ */
+export function paginate(total, pageHeight, { breaks = [], lines = [] } = {}) {
+  const slices = [];
+  const minSlice = pageHeight * 0.25;
+  const cutsLine = (y) => lines.some(([a, b]) => y > a + 0.5 && y < b - 0.5);
+  let start = 0;
+
+  while (total - start > pageHeight + 0.5) {
+    const limit = start + pageHeight;
+    let end = -1;
+
+    for (let i = breaks.length - 1; i >= 0; i--) {
+      const b = breaks[i];
+      if (b > limit) continue;
+      if (b < start + minSlice) break;
+      if (!cutsLine(b)) {
+        end = b;
+        break;
+      }
+    }
+
+    if (end < 0) {
+      end = limit;
+      // Move a hard cut up to the top of the line it would split
+      const hit = lines.filter(([a, b]) => end > a + 0.5 && end < b - 0.5).map(([a]) => a);
+      const lineTop = hit.length ? Math.min(...hit) : -1;
+      if (lineTop > start + minSlice) end = lineTop;
+    }
+
+    slices.push([start, end]);
+    start = end;
+  }
+  slices.push([start, total]);
+  return slices;
+}
+
+/**
+ * Decodes a base64 data URL into bytes.
+ *
+ * @param {string} dataURL - Base64 data URL
+ * @returns {Uint8Array} Decoded bytes
+ */
+export function dataURLToBytes(dataURL) {
+  const bin = atob(dataURL.slice(dataURL.indexOf(",") + 1));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Builds a PDF document where each page holds one JPEG image.
+ *
+ * @param {Array<Object>} pages - Page descriptors
+ * @param {Uint8Array} pages[].jpeg - JPEG bytes
+ * @param {number} pages[].pixelWidth - Image width in pixels
+ * @param {number} pages[].pixelHeight - Image height in pixels
+ * @param {number} pages[].x - Image left position in points
+ * @param {number} pages[].y - Image bottom position in points
+ * @param {number} pages[].width - Image width in points
+ * @param {number} pages[].height - Image height in points
+ * @param {number[]} pageSize - Page [width, height] in points
+ * @returns {Blob} PDF Blob
+ */
+export function buildPdf(pages, [pageWidth, pageHeight]) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const object = (id, body, stream) => {
+    offsets[id] = length;
+    write(`${id} 0 obj\n${body}\n`);
+    if (stream) {
+      write("stream\n");
+      write(stream);
+      write("\nendstream\n");
+    }
+    write("endobj\n");
+  };
+  const num = (n) => (Math.round(n * 100) / 100).toString();
+
+  // 1: catalog, 2: page tree, then 3 objects per page (page, content, image)
+  const pageIds = pages.map((_, i) => 3 + i * 3);
+
+  write("%PDF-1.4\n%\xE2\xE3\xCF\xD3\n");
+  object(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(" ")}] /Count ${pages.length} >>`);
+
+  pages.forEach((page, i) => {
+    const pageId = pageIds[i];
+    const contentId = pageId + 1;
+    const imageId = pageId + 2;
+    const content = encoder.encode(
+      `q ${num(page.width)} 0 0 ${num(page.height)} ${num(page.x)} ${num(page.y)} cm /Im0 Do Q`
+    );
+
+    object(
+      pageId,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+      `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    );
+    object(contentId, `<< /Length ${content.length} >>`, content);
+    object(
+      imageId,
+      `<< /Type /XObject /Subtype /Image /Width ${page.pixelWidth} /Height ${page.pixelHeight} ` +
+      `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`,
+      page.jpeg
+    );
+  });
+
+  const xrefOffset = length;
+  const count = 3 + pages.length * 3;
+  let xref = `xref\n0 ${count}\n0000000000 65535 f \n`;
+  for (let id = 1; id < count; id++) {
+    xref += `${String(offsets[id]).padStart(10, "0")} 00000 n \n`;
+  }
+  write(xref);
+  write(`trailer\n<< /Size ${count} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(chunks, { type: "application/pdf" });
+}
@@ -0,0 +1,100 @@
+/**
+ * Streaming PNG encoder: compresses RGBA scanlines as they are produced, so large
+ * images can be written without ever holding them in a single canvas.
+ * @module png
+ */
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(bytes, crc = 0xffffffff) {
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return crc;
+}
+
+function chunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, (crc32(out.subarray(4, 8 + data.length)) ^ 0xffffffff) >>> 0);
+  return out;
+}
+
+/**
+ * Whether the streaming encoder can run in this environment.
+ *
+ * @returns {boolean} True if CompressionStream("deflate") is available
+ */
+export function canEncodePng() {
+  return typeof CompressionStream !== "undefined";
+}
+
+/**
+ * Encodes an RGBA image into a PNG Blob from an (async) iterable of scanlines.
+ *
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {AsyncIterable<Uint8Array|Uint8ClampedArray>|Iterable<Uint8Array|Uint8ClampedArray>} rows - RGBA scanlines, `width * 4` bytes each, top to bottom
+ * @returns {Promise<Blob>} PNG Blob
+ */
+export async function encodePng(width, height, rows) {
+  if (!canEncodePng()) throw new Error("[snapdom] CompressionStream is not supported in this browser");
+
+  const ihdr = new Uint8Array(13);
+  const view = new DataView(ihdr.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  ihdr[8] = 8;  // bit depth
+  ihdr[9] = 6;  // color type RGBA
+  ihdr[10] = 0; // compression
+  ihdr[11] = 0; // filter
+  ihdr[12] = 0; // no interlace
+
+  const parts = [PNG_SIGNATURE, chunk("IHDR", ihdr)];
+  const stream = new CompressionStream("deflate");
+  const writer = stream.writable.getWriter();
+  const reading = (async () => {
+    const reader = stream.readable.getReader();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      parts.push(chunk("IDAT", value));
+    }
+  })();
+
+  const stride = width * 4;
+  let written = 0;
+  try {
+    for await (const row of rows) {
+      if (row.length !== stride) throw new Error("[snapdom] PNG scanline has an unexpected length");
+      // Filter type 0 (None) followed by the raw pixels
+      const line = new Uint8Array(stride + 1);
+      line.set(row, 1);
+      await writer.write(line);
+      written++;
+    }
+    if (written !== height) throw new Error("[snapdom] PNG row count does not match height");
+    await writer.close();
+  } catch (e) {
+    writer.abort(e).catch(() => {});
+    reading.catch(() => {});
+    throw e;
+  }
+  await reading;
+
+  parts.push(chunk("IEND", new Uint8Array(0)));
+  return new Blob(parts, { type: "image/png" });
+}
@@ -0,0 +1,132 @@
+/**
+ * Helpers for rendering captures that exceed the browser's maximum canvas size.
+ * @module tiles
+ */
+
+import { isSafari } from './helpers.js';
+
+let _limits = null;
+
+/**
+ * Detects the maximum canvas side and area for the current browser.
+ * The side limit is probed with a 1px-tall canvas (cheap); the area limit is
+ * taken from known engine limits, since probing it would allocate gigabytes.
+ *
+ * @returns {{maxSide:number, maxArea:number}} Canvas limits in device pixels
+ */
+export function getCanvasLimits() {
+  if (_limits) return _limits;
+
+  const ua = navigator.userAgent;
+  const isWebKit = isSafari() || /iP(hone|ad|od)/.test(ua);
+  const maxArea = isWebKit ? 16777216 : /firefox/i.test(ua) ? 124992400 : 268435456;
+
+  let maxSide = 4096;
+  for (const side of [65535, 32767, 16384, 8192]) {
+    try {
+      const canvas = document.createElement("canvas");
+      canvas.width = side;
+      canvas.height = 1;
+      const ctx = canvas.getContext("2d", { willReadFrequently: true });
+      if (!ctx) continue;
+      ctx.fillStyle = "#000";
+      ctx.fillRect(side - 1, 0, 1, 1);
+      const ok = ctx.getImageData(side - 1, 0, 1, 1).data[3] === 255;
+      canvas.width = 0;
+      if (ok) {
+        maxSide = side;
+        break;
+      }
+    } catch {
+      // try a smaller size
+    }
+  }
+
+  _limits = { maxSide, maxArea };
+  return _limits;
+}
+
+/**
+ * Checks whether a canvas of the given pixel size would exceed the browser limits.
+ *
+ * @param {number} width - Width in device pixels
+ * @param {number} height - Height in device pixels
+ * @returns {boolean} True if the canvas would be too large
+ */
+export function exceedsCanvasLimits(width, height) {
+  const { maxSide, maxArea } = getCanvasLimits();
+  return Math.ceil(width) > maxSide || Math.ceil(height) > maxSide || Math.ceil(width) * Math.ceil(height) > maxArea;
+}
+
+/**
+ * Reads the intrinsic size of a snapDOM SVG data URL without decoding it.
+ *
+ * @param {string} url - SVG data URL
+ * @returns {{width:number, height:number}} SVG width and height
+ */
+export function getSvgSize(url) {
+  const data = url.slice(url.indexOf(",") + 1);
+  const end = data.search(/%3E|>/i);
+  let header = "";
+  try {
+    header = decodeURIComponent(data.slice(0, end < 0 ? 0 : end));
+  } catch {
+    // malformed URL: treat as unknown size
+  }
+  return {
+    width: parseFloat(header.match(/\swidth="([\d.]+)"/)?.[1]) || 0,
+    height: parseFloat(header.match(/\sheight="([\d.]+)"/)?.[1]) || 0,
+  };
+}
+
+/**
+ * Returns a new SVG data URL that only shows the given region, using viewBox offsets.
+ *
+ * @param {string} url - SVG data URL
+ * @param {number} x - Region left, in SVG units
+ * @param {number} y - Region top, in SVG units
+ * @param {number} width - Region width, in SVG units
+ * @param {number} height - Region height, in SVG units
+ * @returns {string} SVG data URL for the region
+ */
+export function getSvgTileUrl(url, x, y, width, height) {
+  const comma = url.indexOf(",");
+  const svg = decodeURIComponent(url.slice(comma + 1));
+  const tiled = svg.replace(/<svg[^>]*>/, (header) =>
+    header
+      .replace(/\swidth="[^"]*"/, ` width="${width}"`)
+      .replace(/\sheight="[^"]*"/, ` height="${height}"`)
+      .replace(/\sviewBox="[^"]*"/, ` viewBox="${x} ${y} ${width} ${height}"`)
+  );
+  return `${url.slice(0, comma + 1)}${encodeURIComponent(tiled)}`;
+}
+
+/**
+ * Splits an output of `width x height` device pixels into a grid of tiles that
+ * fit the canvas limits.
+ *
+ * @param {number} width - Output width in device pixels
+ * @param {number} height - Output height in device pixels
+ * @param {number} tileWidth - Preferred tile width in device pixels
+ * @param {number} tileHeight - Preferred tile height in device pixels
+ * @returns {Array<Array<{x:number,y:number,width:number,height:number}>>} Tile rows, top to bottom
+ */
+export function getTileGrid(width, height, tileWidth, tileHeight) {
+  const { maxSide, maxArea } = getCanvasLimits();
+  let tw = Math.max(1, Math.min(Math.floor(tileWidth), maxSide, width));
+  let th = Math.max(1, Math.min(Math.floor(tileHeight), maxSide, height));
+  while (tw * th > maxArea) {
+    if (tw >= th) tw = Math.floor(tw / 2);
+    else th = Math.floor(th / 2);
+  }
+
+  const rows = [];
+  for (let y = 0; y < height; y += th) {
+    const row = [];
+    for (let x = 0; x < width; x += tw) {
+      row.push({ x, y, width: Math.min(tw, width - x), height: Math.min(th, height - y) });
+    }
+    rows.push(row);
+  }
+  return rows;
+}
@@ -1,7 +1,56 @@
 declare module "@zumer/snapdom" {
+  export type ProxyTarget = string | ((url: string) => string | null | undefined);
+
+  export type ProxyOption =
+    | ProxyTarget
+    | {
+        url: ProxyTarget;
+        hosts?: { allow?: Array<string | RegExp>; deny?: Array<string | RegExp> };
+        mode?: "fallback" | "always";
+      };
+
+  export interface PersistentCacheStore {
+    get(key: string): Promise<any>;
+    set(key: string, record: any): Promise<void>;
+    delete?(key: string): Promise<void>;
+    clear?(): Promise<void>;
+  }
+
+  export type CacheKind =
+    | "image" | "background" | "resource" | "defaultStyle" | "baseStyle" | "font"
+    | "snapshotKey" | "computedStyle" | "snapshot" | "inflight" | "error" | "blob" | "blankCanvas";
+
+  export interface CacheLimits {
+    entries?: number;
+    bytes?: number;
+  }
+
+  export interface CacheStats {
+    entries: number;
+    bytes: number;
+    maxEntries?: number;
+    maxBytes?: number;
+  }
+
+  export interface PersistentCacheConfig {
+    storage?: "indexeddb" | "cache" | PersistentCacheStore | null;
+    ttl?: number;
+    version?: string;
+    name?: string;
+  }
+
+  export type CapturePhase = "clone" | "images" | "backgrounds" | "fonts" | "baseCSS" | "serialize";
+
+  export interface CaptureProgress {
+    phase: CapturePhase;
+    done: number;
+    total: number;
+  }
+
   export interface SnapOptions {
     compress?: boolean;
     embedFonts?: boolean;
+    subsetFonts?: boolean;
     localFonts?: Array<{ family: string; src: string; weight?: string; style?: string }>;
     iconFonts?: string | RegExp | Array<string | RegExp>;
     fast?: boolean;
@@ -9,20 +58,89 @@ declare module "@zumer/snapdom" {
     width?: number;
     height?: number;
     backgroundColor?: string;
-    format?: "png" | "jpeg" | "jpg" | "webp" | "svg";
+    format?: "png" | "jpeg" | "jpg" | "webp" | "svg" | "pdf";
     type?: "png" | "jpeg" | "jpg" | "webp" | "svg";
     filename?: string;
     dpr?: number;
     quality?: number;
-    useProxy?: string;
+    useProxy?: ProxyOption;
     exclude?: string[];
     filter?: (element: Element, originalElement: Element) => boolean;
     performance?: boolean;
+    onCanvas?: (canvas: HTMLCanvasElement) => string | null | undefined | Promise<string | null | undefined>;
+    downsampleImages?: boolean;
+    fetch?: (url: string, init: { kind: "image" | "font" | "css" | "blob" }) => Promise<Response | Blob | string | null | undefined>;
+    imageEncoding?: "original" | "png" | "jpeg" | "webp" | "auto";
+    imageQuality?: number;
+    imageFallback?: string | "keep" | "remove" | ((target: Element, error: Error) => Node | string | null | undefined | Promise<Node | string | null | undefined>);
+    canvasPlaceholder?: string;
+    onTaintedCanvas?: (canvas: HTMLCanvasElement, error: Error) => Node | string | null | undefined | Promise<Node | string | null | undefined>;
+    iframeFallback?: (iframe: HTMLIFrameElement) => Node | string | null | Promise<Node | string | null>;
+    scrollMode?: "visible" | "full";
+    scrollNested?: boolean;
+    tiled?: boolean;
+    tileSize?: number | { width: number; height: number };
+    signal?: AbortSignal;
+    onProgress?: (progress: CaptureProgress) => void;
+    timeout?: number;
+    resourceTimeout?: number;
+    retries?: number;
+    retryDelay?: number;
+    strict?: boolean;
+  }
+
+  export interface SnapTile {
+    canvas: HTMLCanvasElement;
+    x: number;
+    y: number;
+    width: number;
+    height: number;
+  }
+
+  export interface PdfOptions extends SnapOptions {
+    pageSize?: "a3" | "a4" | "a5" | "letter" | "legal" | "tabloid" | [number, number];
+    orientation?: "portrait" | "landscape";
+    margin?: number | { top?: number; right?: number; bottom?: number; left?: number };
+    paginate?: boolean;
+  }
+
+  export interface ClipboardOptions extends Omit<SnapOptions, "type"> {
+    type?: "png" | "svg" | "html" | Array<"png" | "svg" | "html">;
+  }
+
+  export class ClipboardError extends Error {
+    name: "ClipboardError";
+    code: "permission-denied" | "unsupported" | "write-failed";
+    cause?: unknown;
+  }
+
+  export interface SnapWatcher {
+    capture(): Promise<SnapResult>;
+    invalidate(node?: Element): void;
+    disconnect(): void;
+  }
+
+  export interface CaptureResourceEntry {
+    url: string;
+    kind: "image" | "background" | "font" | "css";
+    status: "ok" | "failed" | "timeout";
+    bytes: number;
+    duration: number;
+    error?: Error;
+  }
+
+  export interface CaptureReport {
+    complete: boolean;
+    resources: CaptureResourceEntry[];
+    skipped: Array<{ node: Node; reason: "exclude" | "filter" | "iframe" | "imageFallback" }>;
+    warnings: Array<{ message: string; error?: Error }>;
   }
 
   export interface SnapResult {
     url: string;
     options: SnapOptions;
+    taintedCanvases: HTMLCanvasElement[];
+    report: CaptureReport | null;
     toRaw(): string;
     toImg(): Promise<HTMLImageElement>;
     toCanvas(): Promise<HTMLCanvasElement>;
@@ -30,7 +148,10 @@ declare module "@zumer/snapdom" {
     toPng(options?: SnapOptions): Promise<HTMLImageElement>;
     toJpg(options?: SnapOptions): Promise<HTMLImageElement>;
     toWebp(options?: SnapOptions): Promise<HTMLImageElement>;
-    download(options?: SnapOptions): Promise<void>;
+    toPdf(options?: PdfOptions): Promise<Blob>;
+    toClipboard(options?: ClipboardOptions): Promise<void>;
+    toTiles(options?: SnapOptions): Promise<SnapTile[]>;
+    download(options?: SnapOptions | PdfOptions): Promise<void>;
   }
 
   /**
@@ -43,6 +164,7 @@ declare module "@zumer/snapdom" {
 
   export namespace snapdom {
     function capture(element: HTMLElement, options?: SnapOptions): Promise<SnapResult>;
+    function watch(element: HTMLElement, options?: SnapOptions): SnapWatcher;
     function toRaw(element: HTMLElement, options?: SnapOptions): Promise<string>;
     function toImg(element: HTMLElement, options?: SnapOptions): Promise<HTMLImageElement>;
     function toCanvas(element: HTMLElement, options?: SnapOptions): Promise<HTMLCanvasElement>;
@@ -50,7 +172,18 @@ declare module "@zumer/snapdom" {
     function toPng(element: HTMLElement, options?: SnapOptions): Promise<HTMLImageElement>;
     function toJpg(element: HTMLElement, options?: SnapOptions): Promise<HTMLImageElement>;
     function toWebp(element: HTMLElement, options?: SnapOptions): Promise<HTMLImageElement>;
-    function download(element: HTMLElement, options?: SnapOptions): Promise<void>;
+    function toPdf(element: HTMLElement, options?: PdfOptions): Promise<Blob>;
+    function toClipboard(element: HTMLElement, options?: ClipboardOptions): Promise<void>;
+    function download(element: HTMLElement, options?: SnapOptions | PdfOptions): Promise<void>;
+    function registerCanvas(canvas: HTMLCanvasElement, render?: (canvas: HTMLCanvasElement) => void | Promise<void>): void;
+    function unregisterCanvas(canvas: HTMLCanvasElement): void;
+
+    const cache: {
+      configure(config?: PersistentCacheConfig & { limits?: Record<string, CacheLimits> }): void;
+      stats(): Record<string, CacheStats>;
+      clear(kind?: CacheKind): void;
+      clearPersisted(): Promise<void>;
+    };
   }
 
   /**
@@ -60,9 +193,10 @@ declare module "@zumer/snapdom" {
     root?: Document | HTMLElement,
     options?: {
       embedFonts?: boolean;
-      useProxy?: string;
+      useProxy?: ProxyOption;
       reset?: boolean;
       localFonts?: Array<{ family: string; src: string; weight?: string; style?: string }>;
+      persist?: "indexeddb" | "cache";
     }
   ): Promise<void>;
 }